@@ -0,0 +1,189 @@
+/**
+ * ChatPanel - Collapsible text chat component
+ *
+ * @pattern Component (Presentation Layer)
+ * @purpose Chat toggle with unread badge, message history and composer
+ * @note Message text comes from the peer - rendered via textContent, only
+ *       http(s) URLs become links
+ */
+
+import { ICONS } from '../config/constants.js';
+import { CONFIG } from '../config/webrtc.js';
+import store from '../store/index.js';
+
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>"']+/g;
+
+export default class ChatPanel {
+  constructor(uiController, toast) {
+    this.ui = uiController;
+    this.toast = toast;
+
+    // Get elements
+    this.toggleBtn = document.getElementById('chat-toggle');
+    this.badge = document.createElement('span');
+    this.panel = document.getElementById('chat-panel');
+    this.list = document.getElementById('chat-messages');
+    this.form = document.getElementById('chat-form');
+    this.input = document.getElementById('chat-input');
+
+    this.toggleBtn.innerHTML = ICONS.chat;
+    this.badge.className = 'chat-badge hidden';
+    this.toggleBtn.append(this.badge);
+    this.input.maxLength = CONFIG.CHAT_MAX_LENGTH;
+
+    this.setupEventListeners();
+    this.subscribeToState();
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    this.toggleBtn.addEventListener('click', () => {
+      this.ui.handleChatToggle();
+    });
+
+    this.form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      try {
+        if (this.ui.handleChatSend(this.input.value)) {
+          this.input.value = '';
+        }
+      } catch (error) {
+        this.toast.show(error.message);
+      }
+    });
+
+    this.input.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') {
+        this.ui.handleChatToggle();
+      }
+    });
+  }
+
+  /**
+   * Subscribe to state changes
+   */
+  subscribeToState() {
+    store.subscribe((state, change) => {
+      if (change.key === 'chatMessages') {
+        this.render(change.value);
+      }
+      if (change.key === 'chatUnread') {
+        this.updateBadge(change.value);
+      }
+      if (change.key === 'chatOpen') {
+        this.updateOpen(change.value);
+      }
+      if (change.key === 'buttonState') {
+        this.updateVisibility();
+      }
+    });
+  }
+
+  /**
+   * Show the toggle only while connected; collapse the panel otherwise
+   */
+  updateVisibility() {
+    const visible = this.ui.isButtonVisible('chat-toggle');
+    this.toggleBtn.classList.toggle('hidden', !visible);
+    if (!visible) {
+      this.panel.classList.add('hidden');
+    } else {
+      this.panel.classList.toggle('hidden', !store.state.chatOpen);
+    }
+  }
+
+  /**
+   * Expand or collapse the panel
+   */
+  updateOpen(open) {
+    this.panel.classList.toggle('hidden', !open);
+    this.toggleBtn.classList.toggle('active', open);
+    if (open) {
+      this.scrollToBottom();
+      this.input.focus();
+    }
+  }
+
+  /**
+   * Update unread badge
+   */
+  updateBadge(count) {
+    this.badge.textContent = count > 99 ? '99+' : String(count);
+    this.badge.classList.toggle('hidden', count === 0);
+  }
+
+  /**
+   * Render message history
+   * @private
+   */
+  render(messages) {
+    this.list.replaceChildren(...messages.map(message => this.renderMessage(message)));
+    this.scrollToBottom();
+  }
+
+  /**
+   * @private
+   * @returns {HTMLElement}
+   */
+  renderMessage(message) {
+    const item = document.createElement('li');
+    item.className = `chat-message ${message.direction}`;
+
+    const text = document.createElement('div');
+    text.className = 'chat-text';
+    text.append(...linkify(message.text));
+
+    const meta = document.createElement('div');
+    meta.className = 'chat-meta';
+    const time = new Date(message.sentAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    meta.textContent = message.direction === 'send'
+      ? `${time} ${message.delivered ? '✓✓' : '✓'}`
+      : time;
+    if (message.direction === 'send') {
+      meta.title = message.delivered ? 'Delivered' : 'Sent';
+    }
+
+    item.append(text, meta);
+    return item;
+  }
+
+  /**
+   * @private
+   */
+  scrollToBottom() {
+    this.list.scrollTop = this.list.scrollHeight;
+  }
+}
+
+/**
+ * Split text into text nodes and links for http(s) URLs
+ * @private
+ * @param {string} text - Untrusted message text
+ * @returns {Node[]}
+ */
+function linkify(text) {
+  const nodes = [];
+  let last = 0;
+
+  for (const match of text.matchAll(URL_PATTERN)) {
+    if (match.index > last) {
+      nodes.push(document.createTextNode(text.slice(last, match.index)));
+    }
+
+    const link = document.createElement('a');
+    link.href = match[0];
+    link.textContent = match[0];
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    nodes.push(link);
+
+    last = match.index + match[0].length;
+  }
+
+  if (last < text.length) {
+    nodes.push(document.createTextNode(text.slice(last)));
+  }
+  return nodes;
+}
@@ -2,19 +2,28 @@
  * Controls - Top control panel component
  *
  * @pattern Component (Presentation Layer)
- * @purpose Manages mic, camera, reload, and close buttons
+ * @purpose Manages mic, camera, camera flip, audio-only, receive-only, screen share, passphrase lock, settings, reload, and close buttons
  */
 
 import { ICONS } from '../config/constants.js';
 import store from '../store/index.js';
 
 export default class Controls {
-  constructor(uiController) {
+  constructor(uiController, toast) {
     this.ui = uiController;
+    this.toast = toast;
 
     // Get elements
     this.micToggle = document.getElementById('mic-toggle');
+    this.mutedHint = document.getElementById('muted-hint');
     this.cameraToggle = document.getElementById('camera-toggle');
+    this.cameraFlipBtn = document.getElementById('camera-flip-btn');
+    this.screenShareBtn = document.getElementById('screen-share-btn');
+    this.lockBtn = document.getElementById('lock-btn');
+    this.audioOnlyBtn = document.getElementById('audio-only-btn');
+    this.receiveOnlyBtn = document.getElementById('receive-only-btn');
+    this.receiveOnlyBadge = document.getElementById('receive-only-badge');
+    this.settingsBtn = document.getElementById('settings-btn');
     this.reloadBtn = document.getElementById('reload-btn');
     this.closeBtn = document.getElementById('close-btn');
 
@@ -37,6 +46,53 @@ export default class Controls {
       this.updateCameraIcon(enabled);
     });
 
+    this.cameraFlipBtn.addEventListener('click', async () => {
+      this.cameraFlipBtn.disabled = true;
+      try {
+        await this.ui.handleCameraFlip();
+      } catch (error) {
+        this.toast.show(error.message);
+      } finally {
+        this.cameraFlipBtn.disabled = false;
+      }
+    });
+
+    this.screenShareBtn.addEventListener('click', async () => {
+      try {
+        const message = await this.ui.handleScreenShareToggle();
+        if (message) this.toast.show(message);
+      } catch (error) {
+        this.toast.show(error.message);
+      }
+    });
+
+    this.audioOnlyBtn.addEventListener('click', async () => {
+      try {
+        this.toast.show(await this.ui.handleAudioOnlyToggle());
+      } catch (error) {
+        this.toast.show(error.message);
+      }
+    });
+
+    this.receiveOnlyBtn.addEventListener('click', async () => {
+      this.receiveOnlyBtn.disabled = true;
+      try {
+        this.toast.show(await this.ui.handleReceiveOnlyToggle());
+      } catch (error) {
+        this.toast.show(error.message);
+      } finally {
+        this.receiveOnlyBtn.disabled = false;
+      }
+    });
+
+    this.lockBtn.addEventListener('click', async () => {
+      await this.ui.handlePassphraseClick();
+    });
+
+    this.settingsBtn.addEventListener('click', () => {
+      this.ui.handleSettingsClick();
+    });
+
     this.reloadBtn.addEventListener('click', async () => {
       await this.ui.handleReloadClick();
     });
@@ -52,6 +108,12 @@ export default class Controls {
   updateIcons() {
     this.micToggle.innerHTML = ICONS.micOn;
     this.cameraToggle.innerHTML = ICONS.cameraOn;
+    this.cameraFlipBtn.innerHTML = ICONS.cameraFlip;
+    this.screenShareBtn.innerHTML = ICONS.screenShare;
+    this.lockBtn.innerHTML = ICONS.unlock;
+    this.audioOnlyBtn.innerHTML = ICONS.audioOnly;
+    this.receiveOnlyBtn.innerHTML = ICONS.receiveOnly;
+    this.settingsBtn.innerHTML = ICONS.settings;
     this.reloadBtn.innerHTML = ICONS.reload;
     this.closeBtn.innerHTML = ICONS.close;
   }
@@ -72,14 +134,54 @@ export default class Controls {
     this.cameraToggle.classList.toggle('off', !enabled);
   }
 
+  /**
+   * Update screen share icon based on state
+   */
+  updateScreenShareIcon(sharing) {
+    this.screenShareBtn.innerHTML = sharing ? ICONS.screenShareOff : ICONS.screenShare;
+    this.screenShareBtn.classList.toggle('active', sharing);
+    this.screenShareBtn.title = sharing ? 'Stop sharing screen' : 'Share screen';
+  }
+
+  /**
+   * Update lock icon based on passphrase protection
+   */
+  updateLockIcon(enabled) {
+    this.lockBtn.innerHTML = enabled ? ICONS.lock : ICONS.unlock;
+    this.lockBtn.classList.toggle('off', !enabled);
+    this.lockBtn.title = enabled ? 'Offer is passphrase protected' : 'Protect offer with a passphrase';
+  }
+
   /**
    * Subscribe to state changes
    */
   subscribeToState() {
     store.subscribe((state, change) => {
-      if (change.key === 'buttonState') {
+      if (['buttonState', 'devices', 'audioOnly', 'receiveOnly', 'peerCapabilities'].includes(change.key)) {
         this.updateVisibility();
       }
+      if (change.key === 'audioOnly') {
+        this.audioOnlyBtn.classList.toggle('active', change.value);
+        this.audioOnlyBtn.title = change.value ? 'Audio-only call - tap for video' : 'Switch to an audio-only call';
+      }
+      if (change.key === 'receiveOnly') {
+        this.receiveOnlyBtn.classList.toggle('active', change.value);
+        this.receiveOnlyBtn.title = change.value ? 'Watching only - tap to send camera and mic' : 'Watch only, without sending';
+        this.receiveOnlyBadge.classList.toggle('hidden', !change.value);
+      }
+      if (change.key === 'screenStream') {
+        this.updateScreenShareIcon(Boolean(change.value));
+      }
+      if (change.key === 'passphraseEnabled') {
+        this.updateLockIcon(change.value);
+      }
+      // Meter on the mic button; shows input even while muted
+      if (change.key === 'audioLevels') {
+        this.micToggle.style.setProperty('--audio-level', change.value.local);
+      }
+      if (change.key === 'mutedTalking') {
+        this.mutedHint.classList.toggle('hidden', !change.value);
+      }
     });
   }
 
@@ -90,5 +192,13 @@ export default class Controls {
     const showClose = this.ui.isButtonVisible('close-btn');
     this.closeBtn.classList.toggle('hidden', !showClose);
     this.reloadBtn.classList.toggle('hidden', showClose);
+    this.lockBtn.classList.toggle('hidden', !this.ui.isButtonVisible('lock-btn'));
+    this.settingsBtn.classList.toggle('hidden', !this.ui.isButtonVisible('settings-btn'));
+    this.screenShareBtn.classList.toggle('hidden', !this.ui.isButtonVisible('screen-share-btn'));
+    this.cameraFlipBtn.classList.toggle('hidden', !this.ui.isButtonVisible('camera-flip-btn'));
+    this.micToggle.classList.toggle('hidden', !this.ui.isButtonVisible('mic-toggle'));
+    this.cameraToggle.classList.toggle('hidden', !this.ui.isButtonVisible('camera-toggle'));
+    this.audioOnlyBtn.classList.toggle('hidden', !this.ui.isButtonVisible('audio-only-btn'));
+    this.receiveOnlyBtn.classList.toggle('hidden', !this.ui.isButtonVisible('receive-only-btn'));
   }
 }
@@ -0,0 +1,142 @@
+/**
+ * DevicePicker - Camera, microphone and speaker selection component
+ *
+ * @pattern Component (Presentation Layer)
+ * @purpose Popover with one select per device kind; announces plugged/unplugged devices
+ * @note The speaker select is hidden where the browser has no setSinkId;
+ *       a receive-only side can only pick the speaker
+ */
+
+import { ICONS, DEVICE_KINDS } from '../config/constants.js';
+import store from '../store/index.js';
+
+// DEVICE_KINDS value -> store.state.devices list
+const DEVICE_LISTS = {
+  [DEVICE_KINDS.CAMERA]: 'cameras',
+  [DEVICE_KINDS.MICROPHONE]: 'microphones',
+  [DEVICE_KINDS.SPEAKER]: 'speakers',
+};
+
+export default class DevicePicker {
+  constructor(uiController, toast, mediaController) {
+    this.ui = uiController;
+    this.toast = toast;
+
+    this.toggleBtn = document.getElementById('devices-btn');
+    this.popover = document.getElementById('device-picker');
+    this.selects = {
+      [DEVICE_KINDS.CAMERA]: document.getElementById('camera-select'),
+      [DEVICE_KINDS.MICROPHONE]: document.getElementById('microphone-select'),
+      [DEVICE_KINDS.SPEAKER]: document.getElementById('speaker-select'),
+    };
+
+    this.toggleBtn.innerHTML = ICONS.devices;
+    document.getElementById('speaker-field')
+      .classList.toggle('hidden', !mediaController.isAudioOutputSupported());
+
+    this.setupEventListeners();
+    this.subscribeToState();
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    this.toggleBtn.addEventListener('click', async () => {
+      const open = this.popover.classList.contains('hidden');
+      this.setOpen(open);
+      if (open) await this.ui.handleDevicesOpen();
+    });
+
+    Object.entries(this.selects).forEach(([kind, select]) => {
+      select.addEventListener('change', async () => {
+        try {
+          const message = await this.ui.handleDeviceSelect(kind, select.value);
+          this.toast.show(message);
+        } catch (error) {
+          this.toast.show(error.message);
+          this.render(store.state);
+        }
+      });
+    });
+
+    document.addEventListener('click', (event) => {
+      if (!this.popover.contains(event.target) && !this.toggleBtn.contains(event.target)) {
+        this.setOpen(false);
+      }
+    });
+  }
+
+  /**
+   * Subscribe to state changes
+   */
+  subscribeToState() {
+    store.subscribe((state, change) => {
+      if (change.key === 'devices') {
+        this.announceChanges(change.oldValue, change.value);
+        this.render(state);
+      }
+      if (['selectedDevices', 'audioOnly', 'receiveOnly'].includes(change.key)) {
+        this.render(state);
+      }
+      if (change.key === 'localStream' || change.key === 'receiveOnly') {
+        const available = Boolean(state.localStream) || state.receiveOnly;
+        this.toggleBtn.classList.toggle('hidden', !available);
+        if (!available) this.setOpen(false);
+      }
+    });
+  }
+
+  /**
+   * @private
+   * @param {boolean} open
+   */
+  setOpen(open) {
+    this.popover.classList.toggle('hidden', !open);
+    this.toggleBtn.classList.toggle('active', open);
+  }
+
+  /**
+   * Fill the selects from the device lists
+   * @private
+   */
+  render({ devices, selectedDevices, audioOnly, receiveOnly }) {
+    Object.entries(this.selects).forEach(([kind, select]) => {
+      const list = devices[DEVICE_LISTS[kind]];
+      const options = list.map(device => {
+        const option = document.createElement('option');
+        option.value = device.deviceId;
+        option.textContent = device.label;
+        return option;
+      });
+
+      select.replaceChildren(...options);
+      const unused = (kind === DEVICE_KINDS.CAMERA && audioOnly)
+        || (kind !== DEVICE_KINDS.SPEAKER && receiveOnly);
+      select.disabled = list.length < 2 || unused;
+      if (selectedDevices[kind] && list.some(device => device.deviceId === selectedDevices[kind])) {
+        select.value = selectedDevices[kind];
+      }
+    });
+  }
+
+  /**
+   * Toast devices that appeared or disappeared since the last listing
+   * @private
+   */
+  announceChanges(previous, current) {
+    // Labels are placeholders until the first listing after permission
+    if (!previous || !Object.values(previous).some(list => list.length)) return;
+
+    Object.values(DEVICE_LISTS).forEach(key => {
+      const before = new Set(previous[key].map(device => device.deviceId));
+      const after = new Set(current[key].map(device => device.deviceId));
+
+      const added = current[key].find(device => !before.has(device.deviceId));
+      const removed = previous[key].find(device => !after.has(device.deviceId));
+
+      if (added) this.toast.show(`🎧 ${added.label} connected`);
+      else if (removed) this.toast.show(`🔌 ${removed.label} disconnected`);
+    });
+  }
+}
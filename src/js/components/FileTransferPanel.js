@@ -0,0 +1,145 @@
+/**
+ * FileTransferPanel - File transfer list component
+ *
+ * @pattern Component (Presentation Layer)
+ * @purpose Shows transfer progress with cancel, download and dismiss actions
+ * @note File names come from the peer - always rendered via textContent
+ */
+
+import store from '../store/index.js';
+import { formatBytes } from '../lib/helpers.js';
+
+export default class FileTransferPanel {
+  constructor(uiController, toast) {
+    this.ui = uiController;
+    this.toast = toast;
+    this.panel = document.getElementById('file-transfer-panel');
+    this.statuses = new Map(); // id -> last rendered status, to toast on transitions
+
+    this.subscribeToState();
+  }
+
+  /**
+   * Subscribe to state changes
+   */
+  subscribeToState() {
+    store.subscribe((state, change) => {
+      if (change.key === 'fileTransfers') {
+        this.notifyTransitions(change.value);
+        this.render(change.value);
+      }
+    });
+  }
+
+  /**
+   * Toast when a transfer finishes, fails or is cancelled by the peer
+   * @private
+   */
+  notifyTransitions(transfers) {
+    const seen = new Map();
+
+    transfers.forEach(transfer => {
+      seen.set(transfer.id, transfer.status);
+      if (this.statuses.get(transfer.id) === transfer.status) return;
+
+      if (transfer.status === 'complete') {
+        this.toast.show(
+          transfer.direction === 'receive' ? `📥 Received ${transfer.name}` : `✅ Sent ${transfer.name}`
+        );
+      } else if (transfer.status === 'failed') {
+        this.toast.show(transfer.error);
+      } else if (transfer.status === 'cancelled' && transfer.byPeer) {
+        this.toast.show(`🚫 ${transfer.name} was cancelled by the other side`);
+      }
+    });
+
+    this.statuses = seen;
+  }
+
+  /**
+   * Render transfer rows
+   * @private
+   */
+  render(transfers) {
+    this.panel.replaceChildren(...transfers.map(transfer => this.renderRow(transfer)));
+    this.panel.classList.toggle('hidden', transfers.length === 0);
+  }
+
+  /**
+   * @private
+   * @returns {HTMLElement}
+   */
+  renderRow(transfer) {
+    const row = document.createElement('div');
+    row.className = `file-transfer ${transfer.status}`;
+
+    const label = document.createElement('div');
+    label.className = 'file-transfer-label';
+    label.textContent = `${transfer.direction === 'send' ? '📤' : '📥'} ${transfer.name}`;
+
+    const detail = document.createElement('div');
+    detail.className = 'file-transfer-detail';
+    detail.textContent = this.describe(transfer);
+
+    const progress = document.createElement('progress');
+    progress.max = transfer.size || 1;
+    progress.value = transfer.size ? transfer.transferred : 1;
+
+    row.append(label, detail, progress, this.renderActions(transfer));
+    return row;
+  }
+
+  /**
+   * @private
+   * @returns {HTMLElement}
+   */
+  renderActions(transfer) {
+    const actions = document.createElement('div');
+    actions.className = 'file-transfer-actions';
+
+    if (transfer.status === 'active') {
+      actions.append(this.button('Cancel', () => this.ui.handleFileCancel(transfer.id)));
+      return actions;
+    }
+
+    if (transfer.url) {
+      const link = document.createElement('a');
+      link.href = transfer.url;
+      link.download = transfer.name;
+      link.textContent = 'Save';
+      actions.append(link);
+    }
+
+    actions.append(this.button('✕', () => this.ui.handleFileDismiss(transfer.id)));
+    return actions;
+  }
+
+  /**
+   * @private
+   */
+  button(text, onClick) {
+    const button = document.createElement('button');
+    button.textContent = text;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * @private
+   * @returns {string} Status line
+   */
+  describe(transfer) {
+    const size = formatBytes(transfer.size);
+
+    if (transfer.status === 'active') {
+      return `${formatBytes(transfer.transferred)} / ${size}`;
+    }
+    if (transfer.status === 'complete') {
+      return transfer.direction === 'receive' ? `${size} · verified` : `${size} · sent`;
+    }
+    if (transfer.status === 'cancelled') {
+      return 'Cancelled';
+    }
+    return transfer.error;
+  }
+}
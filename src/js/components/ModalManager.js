@@ -1,11 +1,14 @@
 /**
- * ModalManager - Manages modals (paste answer, QR display, QR paste)
+ * ModalManager - Manages modals (paste answer, QR display, QR paste, QR scan, passphrase, settings)
  *
  * @pattern Component (Presentation Layer)
  * @purpose Controls modal display and handles modal interactions
  */
 
 import store from '../store/index.js';
+import { SUCCESS_MESSAGES } from '../config/constants.js';
+import { serverUrls } from '../config/preferences.js';
+import { isPassphraseError } from '../lib/signalEnvelope.js';
 import logger from '../lib/Logger.js';
 
 export default class ModalManager {
@@ -13,6 +16,7 @@ export default class ModalManager {
     this.ui = uiController;
     this.toast = toast;
     this.qrService = uiController.connection.getQRService();
+    this.scanner = uiController.connection.getScannerService();
 
     // Get modal elements
     this.pasteModal = document.getElementById('paste-modal');
@@ -25,6 +29,19 @@ export default class ModalManager {
     this.qrPasteModal = document.getElementById('qr-paste-modal');
     this.qrFileInput = document.getElementById('qr-file-input');
     this.qrPasteArea = document.getElementById('qr-paste-area');
+    this.qrScanModal = document.getElementById('qr-scan-modal');
+    this.qrScanVideo = document.getElementById('qr-scan-video');
+    this.qrScanStatus = document.getElementById('qr-scan-status');
+    this.scanReturnModal = null; // Modal to re-open when scanning is cancelled
+    this.isSubmittingScan = false;
+    this.passphraseModal = document.getElementById('passphrase-modal');
+    this.passphraseInput = document.getElementById('passphrase-input');
+    this.passphraseHint = document.getElementById('passphrase-hint');
+    this.settingsModal = document.getElementById('settings-modal');
+    this.iceServerList = document.getElementById('ice-server-list');
+    this.settingsFields = this.settingsModal.querySelectorAll('[data-setting]');
+    this.settingsFileInput = document.getElementById('settings-file-input');
+    this.resolvePassphrase = null; // Pending promptPassphrase() promise
 
     this.setupEventListeners();
     this.subscribeToState();
@@ -37,6 +54,7 @@ export default class ModalManager {
     // Paste Answer Modal
     document.getElementById('modal-cancel').addEventListener('click', () => {
       this.hidePasteModal();
+      this.qrService.resetFrameCollection();
     });
 
     document.getElementById('modal-connect').addEventListener('click', async () => {
@@ -54,6 +72,12 @@ export default class ModalManager {
       });
     }
 
+    // Paste Modal - Scan QR with camera
+    document.getElementById('paste-modal-scan-qr').addEventListener('click', async () => {
+      this.hidePasteModal();
+      await this.openScanner(() => this.showPasteModal());
+    });
+
     // Paste Modal - Upload QR file
     if (this.pasteModalUploadQR) {
       this.pasteModalUploadQR.addEventListener('click', () => {
@@ -90,12 +114,35 @@ export default class ModalManager {
     // QR Paste Modal
     document.getElementById('qr-paste-cancel').addEventListener('click', () => {
       this.hideQRPasteModal();
+      this.qrService.resetFrameCollection();
     });
 
     document.getElementById('qr-upload-btn').addEventListener('click', () => {
       this.qrFileInput.click();
     });
 
+    document.getElementById('qr-scan-btn').addEventListener('click', async () => {
+      this.hideQRPasteModal();
+      await this.openScanner(() => this.showQRPasteModal());
+    });
+
+    // QR Scan Modal (live camera)
+    document.getElementById('qr-scan-cancel').addEventListener('click', () => {
+      this.closeScanner();
+      this.qrService.resetFrameCollection();
+      this.scanReturnModal?.();
+    });
+
+    this.scanner.on('decoded', async (text) => {
+      await this.handleScannedText(text);
+    });
+
+    this.scanner.on('error', () => {
+      this.closeScanner();
+      this.toast.show('❌ QR scanner failed. Use Paste or Upload instead.');
+      this.scanReturnModal?.();
+    });
+
     this.qrFileInput.addEventListener('change', async (e) => {
       await this.handleQRFileUpload(e);
     });
@@ -106,6 +153,55 @@ export default class ModalManager {
         await this.handleQRPaste(e);
       }
     });
+
+    // Passphrase Modal
+    document.getElementById('passphrase-ok').addEventListener('click', () => {
+      this.finishPassphrasePrompt(this.passphraseInput.value);
+    });
+
+    document.getElementById('passphrase-cancel').addEventListener('click', () => {
+      this.finishPassphrasePrompt(null);
+    });
+
+    this.passphraseInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        this.finishPassphrasePrompt(this.passphraseInput.value);
+      }
+    });
+
+    // Settings Modal
+    document.getElementById('ice-server-add').addEventListener('click', () => {
+      this.addIceServerRow();
+    });
+
+    document.getElementById('ice-server-test').addEventListener('click', async () => {
+      await this.handleIceServerTest();
+    });
+
+    document.getElementById('settings-cancel').addEventListener('click', () => {
+      this.hideSettingsModal();
+    });
+
+    document.getElementById('settings-save').addEventListener('click', () => {
+      this.handleSettingsSave();
+    });
+
+    document.getElementById('settings-reset').addEventListener('click', () => {
+      this.toast.show(this.ui.handleSettingsReset());
+      this.fillSettings();
+    });
+
+    document.getElementById('settings-export').addEventListener('click', () => {
+      this.handleSettingsExport();
+    });
+
+    document.getElementById('settings-import').addEventListener('click', () => {
+      this.settingsFileInput.click();
+    });
+
+    this.settingsFileInput.addEventListener('change', async (e) => {
+      await this.handleSettingsImport(e);
+    });
   }
 
   /**
@@ -156,6 +252,11 @@ export default class ModalManager {
       // Process QR code as answer
       const message = await this.ui.handleQRCodeUpload(file);
       this.toast.show(message);
+
+      // More animated QR frames needed
+      if (this.qrService.isCollectingFrames()) {
+        this.showPasteModal();
+      }
     } catch (error) {
       logger.error('QR upload failed:', error);
       this.toast.show(error.message);
@@ -229,6 +330,11 @@ export default class ModalManager {
 
       const message = await this.ui.handleQRCodeUpload(blob);
       this.toast.show(message);
+
+      // More animated QR frames needed
+      if (this.qrService.isCollectingFrames()) {
+        this.showPasteModal();
+      }
     } catch (error) {
       logger.error('QR processing failed:', error);
       this.toast.show(error.message);
@@ -249,6 +355,12 @@ export default class ModalManager {
       this.qrDisplay.innerHTML = '';
       this.qrDisplay.appendChild(canvas);
 
+      // A single frame of an animated QR is useless as an image
+      const animated = this.qrService.isAnimating();
+      this.qrModal.classList.toggle('animated', animated);
+      document.getElementById('qr-share').classList.toggle('hidden', animated);
+      document.getElementById('qr-download').classList.toggle('hidden', animated);
+
       this.qrModal.classList.remove('hidden');
       this.toast.show('✅ QR Code generated');
     } catch (error) {
@@ -262,6 +374,7 @@ export default class ModalManager {
    */
   hideQRModal() {
     this.qrModal.classList.add('hidden');
+    this.ui.handleQRModalClose();
   }
 
   /**
@@ -378,6 +491,11 @@ export default class ModalManager {
 
       const message = await this.ui.handleQRCodeUpload(blob);
       this.toast.show(message);
+
+      // More animated QR frames needed
+      if (this.qrService.isCollectingFrames()) {
+        this.showQRPasteModal();
+      }
     } catch (error) {
       logger.error('QR processing failed:', error);
       this.toast.show(error.message);
@@ -385,6 +503,288 @@ export default class ModalManager {
     }
   }
 
+  /**
+   * Open live camera scanner for the current QR paste context
+   * @param {Function} returnToModal - Re-opens the modal the scan was started from
+   */
+  async openScanner(returnToModal) {
+    const context = store.state.qrPasteContext;
+    const titleEl = document.getElementById('qr-scan-modal-title');
+
+    titleEl.textContent = context === 'offer' ? 'Scan Offer QR Code' : 'Scan Answer QR Code';
+    this.qrScanStatus.textContent = '📷 Point the camera at the QR code';
+    this.scanReturnModal = returnToModal;
+    this.qrScanModal.classList.remove('hidden');
+
+    try {
+      await this.scanner.start(this.qrScanVideo);
+    } catch (error) {
+      logger.error('Failed to start QR scanner:', error);
+      this.closeScanner();
+      this.toast.show(error.message);
+      returnToModal();
+    }
+  }
+
+  /**
+   * Stop camera and hide scanner modal
+   */
+  closeScanner() {
+    this.scanner.stop();
+    this.qrScanModal.classList.add('hidden');
+  }
+
+  /**
+   * Auto-submit text decoded by the live scanner
+   */
+  async handleScannedText(text) {
+    if (this.isSubmittingScan) return;
+    this.isSubmittingScan = true;
+    this.scanner.pause();
+
+    try {
+      const message = await this.ui.handleScannedQR(text);
+
+      // More animated QR frames needed - keep the camera on
+      if (this.qrService.isCollectingFrames()) {
+        this.qrScanStatus.textContent = message;
+        this.scanner.resume();
+        return;
+      }
+
+      this.closeScanner();
+      this.toast.show(message);
+    } catch (error) {
+      logger.error('Scanned QR submission failed:', error);
+      this.qrScanStatus.textContent = error.message;
+      // Cancelled or wrong passphrase - scanning the same code again retries it
+      if (isPassphraseError(error)) this.scanner.forgetLastCode();
+      this.scanner.resume();
+    } finally {
+      this.isSubmittingScan = false;
+    }
+  }
+
+  /**
+   * Ask the user for a passphrase
+   * @param {Object} [options]
+   * @param {string} [options.title] - Modal title
+   * @param {string} [options.hint] - Explanation shown above the input
+   * @param {string} [options.error] - Error from a previous attempt (replaces hint)
+   * @returns {Promise<string|null>} Entered passphrase ('' allowed), null if cancelled
+   */
+  promptPassphrase({
+    title = 'Enter Passphrase',
+    hint = '🔒 This code is protected. Ask the other person for the passphrase.',
+    error = null,
+  } = {}) {
+    // Only one prompt at a time - a newer one cancels the older
+    this.finishPassphrasePrompt(null);
+
+    document.getElementById('passphrase-modal-title').textContent = title;
+    this.passphraseHint.textContent = error || hint;
+    this.passphraseHint.classList.toggle('error', Boolean(error));
+    this.passphraseInput.value = '';
+    this.passphraseModal.classList.remove('hidden');
+    this.passphraseInput.focus();
+
+    return new Promise((resolve) => {
+      this.resolvePassphrase = resolve;
+    });
+  }
+
+  /**
+   * Hide passphrase modal and settle the pending prompt
+   * @private
+   */
+  finishPassphrasePrompt(value) {
+    this.passphraseModal.classList.add('hidden');
+    this.passphraseInput.value = '';
+
+    const resolve = this.resolvePassphrase;
+    this.resolvePassphrase = null;
+    resolve?.(value);
+  }
+
+  /**
+   * Show settings modal filled with the current settings
+   */
+  showSettingsModal() {
+    this.fillSettings();
+    this.settingsModal.classList.remove('hidden');
+  }
+
+  /**
+   * Put effective setting values into the form
+   * @private
+   */
+  fillSettings() {
+    const settings = this.ui.connection.getSettings();
+
+    this.settingsFields.forEach(field => {
+      const value = settings[field.dataset.setting];
+      if (field.type === 'checkbox') {
+        field.checked = value;
+      } else {
+        field.value = value;
+      }
+    });
+
+    this.iceServerList.replaceChildren();
+    settings.ICE_SERVERS.forEach(server => this.addIceServerRow(server));
+  }
+
+  /**
+   * Read the form into a settings object
+   * @private
+   * @returns {Object} CONFIG key -> value
+   */
+  readSettings() {
+    const settings = {
+      ICE_SERVERS: this.readIceServerRows().map(({ server }) => server),
+    };
+
+    this.settingsFields.forEach(field => {
+      settings[field.dataset.setting] = field.type === 'checkbox' ? field.checked : Number(field.value);
+    });
+    return settings;
+  }
+
+  /**
+   * Hide settings modal
+   */
+  hideSettingsModal() {
+    this.settingsModal.classList.add('hidden');
+  }
+
+  /**
+   * Append an editable ICE server row
+   * @private
+   * @param {RTCIceServer} [server] - Initial values
+   */
+  addIceServerRow(server = {}) {
+    const row = document.createElement('div');
+    row.className = 'ice-server-row';
+
+    const input = (field, placeholder, type = 'text') => {
+      const element = document.createElement('input');
+      element.type = type;
+      element.dataset.field = field;
+      element.placeholder = placeholder;
+      element.autocomplete = 'off';
+      element.value = field === 'urls' ? serverUrls(server).join(', ') : server[field] ?? '';
+      return element;
+    };
+
+    const remove = document.createElement('button');
+    remove.className = 'ice-server-remove';
+    remove.textContent = '✕';
+    remove.title = 'Remove server';
+    remove.addEventListener('click', () => row.remove());
+
+    const result = document.createElement('div');
+    result.className = 'ice-server-result';
+
+    row.append(
+      input('urls', 'turn:turn.example.com:3478'),
+      remove,
+      input('username', 'Username (TURN)'),
+      input('credential', 'Credential (TURN)', 'password'),
+      result
+    );
+    this.iceServerList.append(row);
+  }
+
+  /**
+   * Servers entered in the modal, skipping rows without a URL
+   * @private
+   * @returns {Array<{row: HTMLElement, server: RTCIceServer}>}
+   */
+  readIceServerRows() {
+    return Array.from(this.iceServerList.children)
+      .map(row => {
+        const value = field => row.querySelector(`[data-field="${field}"]`).value.trim();
+        // Several URLs for one server are entered comma-separated
+        const urls = value('urls').split(',').map(url => url.trim()).filter(Boolean);
+        const server = { urls: urls.length > 1 ? urls : value('urls') };
+        if (value('username')) server.username = value('username');
+        if (value('credential')) server.credential = value('credential');
+        return { row, server };
+      })
+      .filter(({ server }) => server.urls);
+  }
+
+  /**
+   * Probe every entered server and show which candidate types it gave
+   */
+  async handleIceServerTest() {
+    const rows = this.readIceServerRows();
+    if (rows.length === 0) {
+      this.toast.show('Add a server to test');
+      return;
+    }
+
+    await Promise.all(rows.map(async ({ row, server }) => {
+      const result = row.querySelector('.ice-server-result');
+      result.className = 'ice-server-result';
+      result.textContent = '⏳ Testing...';
+
+      try {
+        const { types, ok } = await this.ui.handleIceServerProbe(server);
+        result.classList.add(ok ? 'ok' : 'error');
+        result.textContent = `${ok ? '✅' : '❌'} ${types.length ? types.join(', ') : 'no candidates'}`;
+      } catch (error) {
+        result.classList.add('error');
+        result.textContent = error.message;
+      }
+    }));
+  }
+
+  /**
+   * Validate and save settings
+   */
+  handleSettingsSave() {
+    try {
+      const message = this.ui.handleSettingsSave(this.readSettings());
+      this.hideSettingsModal();
+      this.toast.show(message);
+    } catch (error) {
+      this.toast.show(error.message);
+    }
+  }
+
+  /**
+   * Download saved settings as a JSON file
+   */
+  handleSettingsExport() {
+    const blob = new Blob([this.ui.handleSettingsExport()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'p2p-webrtc-settings.json';
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+
+    this.toast.show(SUCCESS_MESSAGES.SETTINGS_EXPORTED);
+  }
+
+  /**
+   * Load settings from a chosen JSON file
+   */
+  async handleSettingsImport(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      this.toast.show(await this.ui.handleSettingsImport(file));
+      this.fillSettings();
+    } catch (error) {
+      this.toast.show(error.message);
+    }
+  }
+
   /**
    * Subscribe to state changes
    */
@@ -415,6 +815,6 @@ export default class ModalManager {
    * Public method to show QR display modal
    */
   openQRDisplayModal() {
-    this.showQRModal();
+    return this.showQRModal();
   }
 }
@@ -0,0 +1,54 @@
+/**
+ * QualityIndicator - Signal bars for connection quality
+ *
+ * @pattern Component (Presentation Layer)
+ * @purpose Shows the AdaptiveBitrateService rating in the top control panel
+ */
+
+import { QUALITY_LEVELS } from '../config/constants.js';
+import store from '../store/index.js';
+
+const LABELS = {
+  [QUALITY_LEVELS.GOOD]: 'Connection quality: good',
+  [QUALITY_LEVELS.FAIR]: 'Connection quality: fair',
+  [QUALITY_LEVELS.POOR]: 'Connection quality: poor - reducing video quality',
+};
+
+export default class QualityIndicator {
+  constructor(uiController) {
+    this.ui = uiController;
+    this.indicator = document.getElementById('quality-indicator');
+
+    this.indicator.replaceChildren(...[1, 2, 3].map(() => {
+      const bar = document.createElement('span');
+      bar.className = 'quality-bar';
+      return bar;
+    }));
+
+    this.subscribeToState();
+    this.update(store.state.connectionQuality);
+  }
+
+  /**
+   * Subscribe to state changes
+   */
+  subscribeToState() {
+    store.subscribe((state, change) => {
+      if (change.key === 'connectionQuality') {
+        this.update(change.value);
+      }
+      if (change.key === 'buttonState') {
+        this.indicator.classList.toggle('hidden', !this.ui.isButtonVisible('quality-indicator'));
+      }
+    });
+  }
+
+  /**
+   * Update bars for a quality level
+   * @param {string|null} level - QUALITY_LEVELS value, null while unknown
+   */
+  update(level) {
+    this.indicator.dataset.quality = level ?? 'unknown';
+    this.indicator.title = LABELS[level] ?? 'Measuring connection quality...';
+  }
+}
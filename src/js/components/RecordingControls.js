@@ -0,0 +1,108 @@
+/**
+ * RecordingControls - Call recording component
+ *
+ * @pattern Component (Presentation Layer)
+ * @purpose Record button, elapsed time with pause/stop, download of the
+ *          finished WebM, and a notice while the peer is recording
+ */
+
+import { ICONS, RECORDING_STATES } from '../config/constants.js';
+import { formatDuration } from '../lib/helpers.js';
+import store from '../store/index.js';
+
+export default class RecordingControls {
+  constructor(uiController, toast) {
+    this.ui = uiController;
+    this.toast = toast;
+
+    this.recordBtn = document.getElementById('record-btn');
+    this.bar = document.getElementById('recording-bar');
+    this.time = document.getElementById('recording-time');
+    this.pauseBtn = document.getElementById('recording-pause');
+    this.stopBtn = document.getElementById('recording-stop');
+    this.peerNotice = document.getElementById('peer-recording');
+
+    this.recordBtn.innerHTML = ICONS.record;
+    this.pauseBtn.innerHTML = ICONS.pause;
+    this.stopBtn.innerHTML = ICONS.stop;
+
+    this.setupEventListeners();
+    this.subscribeToState();
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    this.recordBtn.addEventListener('click', () => {
+      try {
+        this.toast.show(this.ui.handleRecordStart());
+      } catch (error) {
+        this.toast.show(error.message);
+      }
+    });
+
+    this.pauseBtn.addEventListener('click', () => {
+      this.ui.handleRecordPause();
+    });
+
+    this.stopBtn.addEventListener('click', async () => {
+      const message = await this.ui.handleRecordStop();
+      if (message) this.toast.show(message);
+    });
+  }
+
+  /**
+   * Subscribe to state changes
+   */
+  subscribeToState() {
+    store.subscribe((state, change) => {
+      if (change.key === 'recordingState') {
+        this.updateState(change.value);
+      }
+      if (change.key === 'recordingElapsed') {
+        this.time.textContent = formatDuration(change.value);
+      }
+      if (change.key === 'recordingFile' && change.value) {
+        this.download(change.value);
+      }
+      if (change.key === 'remoteRecording') {
+        this.peerNotice.classList.toggle('hidden', !change.value);
+        if (change.value) this.toast.show('🔴 The other side started recording');
+      }
+      if (change.key === 'buttonState') {
+        this.updateState(state.recordingState);
+      }
+    });
+  }
+
+  /**
+   * Swap the record button for the recording bar while recording
+   * @private
+   * @param {string} recordingState - RECORDING_STATES value
+   */
+  updateState(recordingState) {
+    const active = recordingState !== RECORDING_STATES.INACTIVE;
+    const paused = recordingState === RECORDING_STATES.PAUSED;
+
+    this.recordBtn.classList.toggle('hidden', active || !this.ui.isButtonVisible('record-btn'));
+    this.bar.classList.toggle('hidden', !active);
+    this.bar.classList.toggle('paused', paused);
+    this.pauseBtn.innerHTML = paused ? ICONS.resume : ICONS.pause;
+    this.pauseBtn.title = paused ? 'Resume recording' : 'Pause recording';
+    if (!active) this.time.textContent = formatDuration(0);
+  }
+
+  /**
+   * Save the finished recording
+   * @private
+   * @param {Object} file - { url, name, size }
+   */
+  download({ url, name }) {
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name;
+    link.click();
+    setTimeout(() => this.ui.handleRecordingDownloaded(), 0);
+  }
+}
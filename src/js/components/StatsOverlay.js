@@ -0,0 +1,204 @@
+/**
+ * StatsOverlay - Live connection statistics component
+ *
+ * @pattern Component (Presentation Layer)
+ * @purpose Shows path, RTT, and per-track bitrate/loss/jitter with sparklines
+ */
+
+import { ICONS } from '../config/constants.js';
+import { formatBitrate } from '../lib/helpers.js';
+import store from '../store/index.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const SPARKLINE_WIDTH = 96;
+const SPARKLINE_HEIGHT = 20;
+
+const CONNECTION_LABELS = {
+  data: 'Data',
+  media: 'Media',
+  peer: 'Connection',
+};
+
+export default class StatsOverlay {
+  constructor(uiController) {
+    this.ui = uiController;
+
+    this.toggleBtn = document.getElementById('stats-toggle');
+    this.overlay = document.getElementById('stats-overlay');
+
+    this.toggleBtn.innerHTML = ICONS.stats;
+    this.toggleBtn.addEventListener('click', () => {
+      this.ui.handleStatsToggle();
+    });
+
+    this.subscribeToState();
+  }
+
+  /**
+   * Subscribe to state changes
+   */
+  subscribeToState() {
+    store.subscribe((state, change) => {
+      if (change.key === 'stats' && state.statsVisible) {
+        this.render(change.value);
+      }
+      if (change.key === 'statsVisible') {
+        this.toggleBtn.classList.toggle('active', change.value);
+        this.updateVisibility();
+        if (change.value) this.render(state.stats);
+      }
+      if (change.key === 'buttonState') {
+        this.toggleBtn.classList.toggle('hidden', !this.ui.isButtonVisible('stats-toggle'));
+        this.updateVisibility();
+      }
+    });
+  }
+
+  /**
+   * Show the overlay while toggled on and connected
+   */
+  updateVisibility() {
+    const visible = store.state.statsVisible && this.ui.isButtonVisible('stats-toggle');
+    this.overlay.classList.toggle('hidden', !visible);
+  }
+
+  /**
+   * Render the latest sample
+   * @private
+   * @param {Object|null} stats - StatsService sample
+   */
+  render(stats) {
+    if (!stats) {
+      this.overlay.replaceChildren(row('stats-empty', 'Collecting stats...'));
+      return;
+    }
+
+    const sections = [
+      ...Object.entries(stats.connections).map(([label, connection]) =>
+        this.renderConnection(label, connection, stats.history)
+      ),
+      ...stats.tracks.map(track => this.renderTrack(track, stats.history)),
+    ];
+
+    this.overlay.replaceChildren(...sections);
+  }
+
+  /**
+   * @private
+   * @returns {HTMLElement}
+   */
+  renderConnection(label, connection, history) {
+    const section = document.createElement('section');
+    section.className = 'stats-section';
+
+    const title = CONNECTION_LABELS[label] ?? label;
+    if (!connection) {
+      section.append(row('stats-title', `${title} · no candidate pair yet`));
+      return section;
+    }
+
+    const path = document.createElement('span');
+    path.className = connection.relayed ? 'stats-path relayed' : 'stats-path direct';
+    path.textContent = connection.relayed ? 'relayed' : 'direct';
+
+    const heading = row('stats-title', `${title} · `);
+    heading.append(path);
+
+    section.append(
+      heading,
+      row('stats-detail', `${connection.localType} ↔ ${connection.remoteType} · ${connection.protocol ?? '?'}`),
+      metric('RTT', formatMs(connection.rtt), history[`${label}.rtt`])
+    );
+    return section;
+  }
+
+  /**
+   * @private
+   * @returns {HTMLElement}
+   */
+  renderTrack(track, history) {
+    const section = document.createElement('section');
+    section.className = 'stats-section';
+
+    const arrow = track.direction === 'inbound' ? '↓' : '↑';
+    const details = [];
+    if (track.width && track.height) details.push(`${track.width}×${track.height}`);
+    if (track.fps !== null) details.push(`${Math.round(track.fps)} fps`);
+    if (track.qualityLimitation && track.qualityLimitation !== 'none') {
+      details.push(`limited by ${track.qualityLimitation}`);
+    }
+
+    section.append(
+      row('stats-title', `${arrow} ${track.kind} ${track.direction === 'inbound' ? 'in' : 'out'}`),
+      ...(details.length ? [row('stats-detail', details.join(' · '))] : []),
+      metric('Bitrate', track.bitrate === null ? '–' : formatBitrate(track.bitrate), history[`${track.key}.bitrate`]),
+      metric('Loss', track.packetLoss === null ? '–' : `${track.packetLoss.toFixed(1)}%`, history[`${track.key}.packetLoss`]),
+      metric('Jitter', formatMs(track.jitter), history[`${track.key}.jitter`])
+    );
+    return section;
+  }
+}
+
+/**
+ * @private
+ * @returns {HTMLElement}
+ */
+function row(className, text) {
+  const element = document.createElement('div');
+  element.className = className;
+  element.textContent = text;
+  return element;
+}
+
+/**
+ * Label, current value and sparkline
+ * @private
+ * @returns {HTMLElement}
+ */
+function metric(label, value, series = []) {
+  const element = document.createElement('div');
+  element.className = 'stats-metric';
+
+  const name = document.createElement('span');
+  name.textContent = label;
+  const current = document.createElement('span');
+  current.className = 'stats-value';
+  current.textContent = value;
+
+  element.append(name, current, sparkline(series));
+  return element;
+}
+
+/**
+ * Polyline of a series scaled to its own maximum; gaps (null) are skipped
+ * @private
+ * @returns {SVGElement}
+ */
+function sparkline(series) {
+  const svg = document.createElementNS(SVG_NS, 'svg');
+  svg.setAttribute('class', 'stats-sparkline');
+  svg.setAttribute('width', SPARKLINE_WIDTH);
+  svg.setAttribute('height', SPARKLINE_HEIGHT);
+  svg.setAttribute('viewBox', `0 0 ${SPARKLINE_WIDTH} ${SPARKLINE_HEIGHT}`);
+
+  const max = Math.max(...series.filter(value => value !== null), 0) || 1;
+  const step = SPARKLINE_WIDTH / Math.max(series.length - 1, 1);
+
+  const points = series
+    .map((value, index) => (value === null
+      ? null
+      : `${(index * step).toFixed(1)},${(SPARKLINE_HEIGHT - (value / max) * (SPARKLINE_HEIGHT - 2) - 1).toFixed(1)}`))
+    .filter(Boolean);
+
+  const line = document.createElementNS(SVG_NS, 'polyline');
+  line.setAttribute('points', points.join(' '));
+  svg.append(line);
+  return svg;
+}
+
+/**
+ * @private
+ */
+function formatMs(value) {
+  return value === null ? '–' : `${Math.round(value)} ms`;
+}
@@ -2,23 +2,41 @@
  * VideoGrid - Video display component
  *
  * @pattern Component (Presentation Layer)
- * @purpose Manages video elements and layout
+ * @purpose Manages video elements and layout, accepts dropped files for sending,
+ *          shows the peer's mic/camera-off state over the remote video,
+ *          audio level meters on both tiles, and avatar tiles in audio-only calls
+ * @note Overlays are positioned from their video's box, so they follow every
+ *       layout mode without their own CSS per mode
  */
 
+import { ICONS, CONNECTION_STATES } from '../config/constants.js';
 import store from '../store/index.js';
 import logger from '../lib/Logger.js';
 
 export default class VideoGrid {
-  constructor(mediaController) {
+  constructor(mediaController, uiController, toast) {
     this.media = mediaController;
+    this.ui = uiController;
+    this.toast = toast;
 
     // Get video elements
     this.localVideo = document.getElementById('local-video');
     this.remoteVideo = document.getElementById('remote-video');
     this.videoGrid = document.getElementById('video-grid-view');
+    this.localOverlay = document.getElementById('local-overlay');
+    this.remoteOverlay = document.getElementById('remote-overlay');
+    this.createRemoteOverlay();
+    this.localOverlay.append(createLevelMeter());
+    this.audioCall = document.getElementById('audio-call');
+    this.audioTiles = {
+      local: createAudioTile('You'),
+      remote: createAudioTile('Peer'),
+    };
+    this.audioCall.append(this.audioTiles.local, this.audioTiles.remote);
 
     // Set video elements in media controller
     this.media.setVideoElements(this.localVideo, this.remoteVideo, this.videoGrid);
+    this.localVideo.dataset.facing = store.state.cameraFacing;
 
     this.setupEventListeners();
     this.subscribeToState();
@@ -43,6 +61,104 @@ export default class VideoGrid {
     window.addEventListener('resize', () => {
       this.media.updateVideoLayout();
     });
+
+    // Keep the overlays on top of their videos
+    const observer = new ResizeObserver(() => this.positionOverlays());
+    observer.observe(this.localVideo);
+    observer.observe(this.remoteVideo);
+
+    // Drag and drop files to send them to the peer
+    this.videoGrid.addEventListener('dragover', (e) => {
+      if (!e.dataTransfer.types.includes('Files')) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'copy';
+      this.videoGrid.classList.add('drop-target');
+    });
+
+    this.videoGrid.addEventListener('dragleave', (e) => {
+      if (!this.videoGrid.contains(e.relatedTarget)) {
+        this.videoGrid.classList.remove('drop-target');
+      }
+    });
+
+    this.videoGrid.addEventListener('drop', (e) => {
+      e.preventDefault();
+      this.videoGrid.classList.remove('drop-target');
+      this.handleFileDrop([...e.dataTransfer.files]);
+    });
+  }
+
+  /**
+   * Build the avatar placeholder and muted badges
+   * @private
+   */
+  createRemoteOverlay() {
+    this.remoteAvatar = document.createElement('div');
+    this.remoteAvatar.className = 'remote-avatar hidden';
+    this.remoteAvatar.innerHTML = ICONS.avatar;
+
+    this.remoteMicBadge = document.createElement('span');
+    this.remoteMicBadge.className = 'remote-badge hidden';
+    this.remoteMicBadge.title = 'Microphone muted';
+    this.remoteMicBadge.innerHTML = ICONS.micOff;
+
+    this.remoteCameraBadge = document.createElement('span');
+    this.remoteCameraBadge.className = 'remote-badge hidden';
+    this.remoteCameraBadge.title = 'Camera off';
+    this.remoteCameraBadge.innerHTML = ICONS.cameraOff;
+
+    const badges = document.createElement('div');
+    badges.className = 'remote-badges';
+    badges.append(this.remoteMicBadge, this.remoteCameraBadge);
+
+    this.remoteOverlay.append(this.remoteAvatar, badges, createLevelMeter());
+  }
+
+  /**
+   * Place both overlays over their videos
+   * @private
+   */
+  positionOverlays() {
+    positionOverlay(this.localOverlay, this.localVideo, this.videoGrid);
+    positionOverlay(this.remoteOverlay, this.remoteVideo, this.videoGrid);
+  }
+
+  /**
+   * Swap the videos for avatar tiles in an audio-only call
+   * @private
+   */
+  updateAudioCall({ audioOnly, receiveOnly, connectionState }) {
+    const isConnected = [CONNECTION_STATES.CONNECTED, CONNECTION_STATES.RECONNECTING].includes(connectionState);
+
+    // The remote <video> stays in the DOM (hidden) - it still plays the peer's audio
+    this.videoGrid.toggleAttribute('data-audio-only', audioOnly);
+    this.audioCall.classList.toggle('hidden', !audioOnly);
+    this.audioTiles.local.classList.toggle('hidden', receiveOnly);
+    this.audioTiles.remote.classList.toggle('hidden', !isConnected);
+  }
+
+  /**
+   * Show the peer's mic/camera state
+   * @private
+   */
+  updateRemoteMediaState({ remoteMicEnabled, remoteCameraEnabled }) {
+    this.remoteMicBadge.classList.toggle('hidden', remoteMicEnabled);
+    this.remoteCameraBadge.classList.toggle('hidden', remoteCameraEnabled);
+    this.remoteAvatar.classList.toggle('hidden', remoteCameraEnabled);
+  }
+
+  /**
+   * Send dropped files
+   * @param {File[]} files - Dropped files
+   */
+  handleFileDrop(files) {
+    if (files.length === 0) return;
+
+    try {
+      this.ui.handleFilesDropped(files);
+    } catch (error) {
+      this.toast.show(error.message);
+    }
   }
 
   /**
@@ -80,6 +196,102 @@ export default class VideoGrid {
       if (change.key === 'remoteStream' && change.value) {
         logger.debug('Remote stream updated in VideoGrid');
       }
+
+      if (change.key === 'remoteMicEnabled' || change.key === 'remoteCameraEnabled') {
+        this.updateRemoteMediaState(state);
+      }
+
+      // Layout classes are applied by MediaController in the same notification
+      if (change.key === 'videoMode' || change.key === 'connectionState' || change.key === 'remoteStream') {
+        requestAnimationFrame(() => this.positionOverlays());
+      }
+
+      if (change.key === 'audioLevels') {
+        this.localOverlay.style.setProperty('--audio-level', change.value.local);
+        this.remoteOverlay.style.setProperty('--audio-level', change.value.remote);
+        this.audioTiles.local.style.setProperty('--audio-level', change.value.local);
+        this.audioTiles.remote.style.setProperty('--audio-level', change.value.remote);
+      }
+
+      if (change.key === 'activeSpeaker') {
+        this.audioTiles.local.classList.toggle('speaking', change.value === 'local');
+        this.audioTiles.remote.classList.toggle('speaking', change.value === 'remote');
+      }
+
+      if (['audioOnly', 'receiveOnly', 'connectionState'].includes(change.key)) {
+        this.updateAudioCall(state);
+        requestAnimationFrame(() => this.positionOverlays());
+      }
+
+      if (change.key === 'micEnabled') {
+        this.audioTiles.local.classList.toggle('muted', !change.value);
+      }
+      if (change.key === 'remoteMicEnabled') {
+        this.audioTiles.remote.classList.toggle('muted', !change.value);
+      }
+
+      // Mirror the preview for the front camera only (attribute survives layout class resets)
+      if (change.key === 'cameraFacing') {
+        this.localVideo.dataset.facing = change.value;
+      }
     });
   }
 }
+
+/**
+ * Avatar with a level ring and a label, for audio-only calls
+ * @private
+ * @returns {HTMLElement}
+ */
+function createAudioTile(label) {
+  const tile = document.createElement('div');
+  tile.className = 'audio-tile';
+
+  const avatar = document.createElement('div');
+  avatar.className = 'audio-avatar';
+  avatar.innerHTML = ICONS.avatar;
+
+  const name = document.createElement('span');
+  name.className = 'audio-name';
+  name.textContent = label;
+
+  const muted = document.createElement('span');
+  muted.className = 'audio-muted';
+  muted.title = 'Microphone muted';
+  muted.innerHTML = ICONS.micOff;
+
+  tile.append(avatar, name, muted);
+  return tile;
+}
+
+/**
+ * Bar along the bottom of a tile, filled to --audio-level
+ * @private
+ * @returns {HTMLElement}
+ */
+function createLevelMeter() {
+  const meter = document.createElement('div');
+  meter.className = 'level-meter';
+  return meter;
+}
+
+/**
+ * Cover a video with its overlay, hide the overlay while the video is hidden
+ * @private
+ */
+function positionOverlay(overlay, video, grid) {
+  const box = video.getBoundingClientRect();
+  const gridBox = grid.getBoundingClientRect();
+  const visible = !video.classList.contains('hidden') && box.width > 0;
+
+  overlay.classList.toggle('hidden', !visible);
+  if (!visible) return;
+
+  Object.assign(overlay.style, {
+    left: `${box.left - gridBox.left}px`,
+    top: `${box.top - gridBox.top}px`,
+    width: `${box.width}px`,
+    height: `${box.height}px`,
+  });
+  overlay.classList.toggle('compact', video.classList.contains('thumbnail'));
+}
@@ -31,6 +31,49 @@ export const PEER_ROLES = {
   RESPONDER: 'responder',
 };
 
+/**
+ * Peer connection strategies (see CONFIG.CONNECTION_STRATEGY)
+ */
+export const CONNECTION_STRATEGIES = {
+  DUAL: 'dual',     // Data PC + separate media PC negotiated over the data channel
+  SINGLE: 'single', // One PC; tracks added after the data channel opens (perfect negotiation)
+};
+
+/**
+ * Connection quality levels (signal bars: 3 / 2 / 1)
+ */
+export const QUALITY_LEVELS = {
+  GOOD: 'good',
+  FAIR: 'fair',
+  POOR: 'poor',
+};
+
+/**
+ * Selectable media devices (store.state.selectedDevices keys)
+ */
+export const DEVICE_KINDS = {
+  CAMERA: 'camera',
+  MICROPHONE: 'microphone',
+  SPEAKER: 'speaker',
+};
+
+/**
+ * Camera directions (getUserMedia facingMode)
+ */
+export const FACING_MODES = {
+  USER: 'user',               // Front camera, preview mirrored
+  ENVIRONMENT: 'environment', // Rear camera
+};
+
+/**
+ * Local call recording states
+ */
+export const RECORDING_STATES = {
+  INACTIVE: 'inactive',
+  RECORDING: 'recording',
+  PAUSED: 'paused',
+};
+
 /**
  * QR Paste Context (what type of QR code expected)
  */
@@ -48,6 +91,25 @@ export const CONNECTION_STATES = {
   CONNECTED: 'connected',
   FAILED: 'failed',
   DISCONNECTED: 'disconnected',
+  RECONNECTING: 'reconnecting', // Media ICE restart in progress
+};
+
+/**
+ * Error frame codes sent back for undeliverable data channel messages
+ */
+export const MESSAGE_ERRORS = {
+  MALFORMED: 'malformed',           // Not JSON, or no type
+  UNKNOWN_TYPE: 'unknown-type',     // No handler registered
+  INVALID: 'invalid',               // Failed schema validation
+  HANDLER_FAILED: 'handler-failed', // Handler threw
+};
+
+/**
+ * localStorage Keys
+ */
+export const STORAGE_KEYS = {
+  CONSUMED_OFFERS: 'p2p-consumed-offers', // Session ids of offers already answered here
+  PREFERENCES: 'p2p-preferences',         // User overrides of CONFIG tunables
 };
 
 /**
@@ -57,10 +119,38 @@ export const ERROR_MESSAGES = {
   CAMERA_DENIED: '❌ Camera access denied',
   CAMERA_NOT_FOUND: '❌ No camera/microphone found',
   CAMERA_IN_USE: '❌ Device is already in use',
+  NO_OTHER_CAMERA: '📷 No other camera available',
   NO_OFFER_URL: '❌ No offer URL available',
   NO_ANSWER_CODE: '❌ No answer code available',
   INVALID_OFFER: '❌ Invalid offer data',
   INVALID_ANSWER: '❌ Invalid answer code',
+  SIGNAL_VERSION_TOO_NEW: '❌ This code was created by a newer version of the app. Reload to update',
+  COMPRESSION_UNSUPPORTED: '❌ This browser is too old to read this code',
+  PASSPHRASE_REQUIRED: '🔒 This code is protected with a passphrase',
+  WRONG_PASSPHRASE: '❌ Wrong passphrase',
+  ANSWER_NOT_PROTECTED: '❌ Answer is not protected with your passphrase',
+  OFFER_EXPIRED: '⌛ This offer has expired. Ask for a new link',
+  OFFER_ALREADY_USED: '❌ This offer was already answered on this device. Ask for a new link',
+  ANSWER_SESSION_MISMATCH: '❌ This answer belongs to a different offer',
+  SCREEN_SHARE_DENIED: '❌ Screen sharing was blocked',
+  SCREEN_SHARE_UNSUPPORTED: '❌ Screen sharing is not supported on this device',
+  SPEAKER_SELECTION_UNSUPPORTED: '❌ This browser cannot choose the speaker',
+  RECORDING_UNSUPPORTED: '❌ Recording is not supported in this browser',
+  RECORDING_NOT_CONNECTED: '❌ Connect to a peer before recording',
+  FILE_NOT_CONNECTED: '❌ Connect to a peer before sending files',
+  FILE_TOO_LARGE: '❌ File is too large to send',
+  FILE_TRANSFER_FAILED: '❌ File transfer failed',
+  FILE_INTEGRITY_FAILED: '❌ Received file is corrupted',
+  CHAT_NOT_CONNECTED: '❌ Not connected - message not sent',
+  RPC_NOT_CONNECTED: '❌ Not connected to a peer',
+  RPC_TIMEOUT: '⌛ The other side did not respond',
+  RPC_METHOD_NOT_FOUND: '❌ The other side does not support this',
+  RPC_FAILED: '❌ Request to the other side failed',
+  ICE_SERVER_INVALID_URL: '❌ Server URLs must start with stun:, stuns:, turn: or turns:',
+  ICE_TURN_CREDENTIALS_REQUIRED: '❌ TURN servers need a username and credential',
+  ICE_RELAY_NEEDS_TURN: '❌ Relay only needs at least one TURN server',
+  INVALID_SETTING: '❌ A setting is out of range',
+  INVALID_SETTINGS_FILE: '❌ Not a settings file from this app',
   INVALID_QR: '❌ No QR code found in image',
   QR_WRONG_TYPE_OFFER: "❌ This doesn't look like an offer QR code",
   QR_WRONG_TYPE_ANSWER: '❌ This looks like an offer, not an answer',
@@ -80,10 +170,24 @@ export const SUCCESS_MESSAGES = {
   QR_COPIED: '✅ QR Code copied to clipboard',
   QR_DOWNLOADED: '✅ QR Code downloaded',
   QR_GENERATED: '✅ QR Code generated',
+  QR_ANIMATED: '📶 Let the other device scan the animated QR',
   OFFER_RECEIVED: '✅ Offer received',
   ANSWER_RECEIVED: '✅ Answer received',
   ANSWER_READY: '✅ Answer ready to share',
   CONNECTED: '🎉 Connected!',
+  SCREEN_SHARE_STARTED: '🖥️ Sharing your screen',
+  SCREEN_SHARE_STOPPED: '📷 Back to camera',
+  DEVICE_SWITCHED: '✅ Device switched',
+  AUDIO_ONLY_ON: '🎧 Audio-only call',
+  AUDIO_ONLY_OFF: '📷 Video call',
+  RECEIVE_ONLY_ON: '👀 Watching only - not sending',
+  RECEIVE_ONLY_OFF: '📷 Sending camera and mic',
+  RECORDING_STARTED: '🔴 Recording started',
+  RECORDING_SAVED: '✅ Recording saved',
+  SETTINGS_SAVED: '✅ Settings saved',
+  SETTINGS_RESET: '✅ Settings reset to defaults',
+  SETTINGS_IMPORTED: '✅ Settings imported',
+  SETTINGS_EXPORTED: '✅ Settings exported',
   RESET: '✅ Reset to initial state',
 };
 
@@ -96,6 +200,7 @@ export const LOADING_MESSAGES = {
   CONNECTING: '⏳ Connecting...',
   GENERATING_QR: '🔄 Generating QR code...',
   DECODING_QR: '🔍 Decoding QR code...',
+  RECONNECTING: '🔄 Connection lost, reconnecting...',
 };
 
 /**
@@ -109,5 +214,21 @@ export const ICONS = {
   cameraOff: `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M10.66 6H14a2 2 0 0 1 2 2v2.5l5.248-3.062A.5.5 0 0 1 22 7.87v8.196"/><path d="M16 16a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h2"/><path d="m2 2 20 20"/></svg>`,
   reload: `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 12a9 9 0 1 1-9-9c2.52 0 4.93 1 6.74 2.74L21 8"/><path d="M21 3v5h-5"/></svg>`,
   share: `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="lucide lucide-share-icon lucide-share"><path d="M12 2v13"/><path d="m16 6-4-4-4 4"/><path d="M4 12v8a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2v-8"/></svg>`,
+  lock: `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect width="18" height="11" x="3" y="11" rx="2" ry="2"/><path d="M7 11V7a5 5 0 0 1 10 0v4"/></svg>`,
+  unlock: `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect width="18" height="11" x="3" y="11" rx="2" ry="2"/><path d="M7 11V7a5 5 0 0 1 9.9-1"/></svg>`,
+  screenShare: `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M13 3H4a2 2 0 0 0-2 2v10a2 2 0 0 0 2 2h16a2 2 0 0 0 2-2v-3"/><path d="M8 21h8"/><path d="M12 17v4"/><path d="m17 8 5-5"/><path d="M17 3h5v5"/></svg>`,
+  screenShareOff: `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M13 3H4a2 2 0 0 0-2 2v10a2 2 0 0 0 2 2h16a2 2 0 0 0 2-2v-3"/><path d="M8 21h8"/><path d="M12 17v4"/><path d="m22 3-5 5"/><path d="m17 3 5 5"/></svg>`,
+  chat: `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M7.9 20A9 9 0 1 0 4 16.1L2 22Z"/></svg>`,
+  stats: `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M22 12h-2.48a2 2 0 0 0-1.93 1.46l-2.35 8.36a.25.25 0 0 1-.48 0L9.24 2.18a.25.25 0 0 0-.48 0l-2.35 8.36A2 2 0 0 1 4.49 12H2"/></svg>`,
+  settings: `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12.22 2h-.44a2 2 0 0 0-2 2v.18a2 2 0 0 1-1 1.73l-.43.25a2 2 0 0 1-2 0l-.15-.08a2 2 0 0 0-2.73.73l-.22.38a2 2 0 0 0 .73 2.73l.15.1a2 2 0 0 1 1 1.72v.51a2 2 0 0 1-1 1.74l-.15.09a2 2 0 0 0-.73 2.73l.22.38a2 2 0 0 0 2.73.73l.15-.08a2 2 0 0 1 2 0l.43.25a2 2 0 0 1 1 1.73V20a2 2 0 0 0 2 2h.44a2 2 0 0 0 2-2v-.18a2 2 0 0 1 1-1.73l.43-.25a2 2 0 0 1 2 0l.15.08a2 2 0 0 0 2.73-.73l.22-.39a2 2 0 0 0-.73-2.73l-.15-.08a2 2 0 0 1-1-1.74v-.5a2 2 0 0 1 1-1.74l.15-.09a2 2 0 0 0 .73-2.73l-.22-.38a2 2 0 0 0-2.73-.73l-.15.08a2 2 0 0 1-2 0l-.43-.25a2 2 0 0 1-1-1.73V4a2 2 0 0 0-2-2z"/><circle cx="12" cy="12" r="3"/></svg>`,
+  devices: `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M3 14h3a2 2 0 0 1 2 2v3a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-7a9 9 0 0 1 18 0v7a2 2 0 0 1-2 2h-1a2 2 0 0 1-2-2v-3a2 2 0 0 1 2-2h3"/></svg>`,
+  cameraFlip: `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M11 19H4a2 2 0 0 1-2-2V7a2 2 0 0 1 2-2h5"/><path d="M13 5h7a2 2 0 0 1 2 2v10a2 2 0 0 1-2 2h-5"/><circle cx="12" cy="12" r="3"/><path d="m18 22-3-3 3-3"/><path d="m6 2 3 3-3 3"/></svg>`,
+  avatar: `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="8" r="5"/><path d="M20 21a8 8 0 0 0-16 0"/></svg>`,
+  record: `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="10"/><circle cx="12" cy="12" r="4" fill="currentColor"/></svg>`,
+  pause: `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="14" y="4" width="4" height="16" rx="1"/><rect x="6" y="4" width="4" height="16" rx="1"/></svg>`,
+  resume: `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polygon points="6 3 20 12 6 21 6 3"/></svg>`,
+  stop: `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="5" y="5" width="14" height="14" rx="2"/></svg>`,
+  receiveOnly: `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M2.062 12.348a1 1 0 0 1 0-.696 10.75 10.75 0 0 1 19.876 0 1 1 0 0 1 0 .696 10.75 10.75 0 0 1-19.876 0"/><circle cx="12" cy="12" r="3"/></svg>`,
+  audioOnly: `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M13.832 16.568a1 1 0 0 0 1.213-.303l.355-.465A2 2 0 0 1 17 15h3a2 2 0 0 1 2 2v3a2 2 0 0 1-2 2A18 18 0 0 1 2 4a2 2 0 0 1 2-2h3a2 2 0 0 1 2 2v3a2 2 0 0 1-.8 1.6l-.468.351a1 1 0 0 0-.292 1.233 14 14 0 0 0 6.392 6.384"/></svg>`,
   paste: `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="lucide lucide-download-icon lucide-download"><path d="M12 15V3"/><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><path d="m7 10 5 5 5-5"/></svg>`,
 };
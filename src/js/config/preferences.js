@@ -0,0 +1,187 @@
+/**
+ * Preferences - User overrides of CONFIG tunables, persisted in localStorage
+ *
+ * @purpose Storage and validation for the settings modal
+ * @note Only values that differ from CONFIG are stored, so changed defaults
+ *       still reach users who never touched a setting. Effective values
+ *       (override or default) are read through getSetting() in webrtc.js.
+ *       TURN credentials are stored in plain text, like any other localStorage data.
+ *
+ * Exported files: { app: 'p2p-webrtc-preferences', version: 1, preferences: {...} }
+ */
+
+import { STORAGE_KEYS, ERROR_MESSAGES } from './constants.js';
+
+const EXPORT_APP = 'p2p-webrtc-preferences';
+const EXPORT_VERSION = 1;
+
+const SERVER_URL_PATTERN = /^(stuns?|turns?):[^\s]+$/i;
+const TURN_URL_PATTERN = /^turns?:/i;
+
+/**
+ * Overridable CONFIG keys and their allowed values
+ */
+export const PREFERENCE_FIELDS = {
+  VIDEO_WIDTH: { type: 'number', min: 160, max: 3840 },
+  VIDEO_HEIGHT: { type: 'number', min: 120, max: 2160 },
+  VIDEO_FRAMERATE: { type: 'number', min: 5, max: 60 },
+  AUDIO_ECHO_CANCELLATION: { type: 'boolean' },
+  AUDIO_NOISE_SUPPRESSION: { type: 'boolean' },
+  AUDIO_AUTO_GAIN: { type: 'boolean' },
+  QR_SIZE: { type: 'number', min: 200, max: 2000 },
+  QR_MARGIN: { type: 'number', min: 0, max: 10 },
+  ICE_GATHERING_TIMEOUT: { type: 'number', min: 1000, max: 30000 },
+  ICE_SERVERS: { type: 'servers' },
+  ICE_RELAY_ONLY: { type: 'boolean' },
+};
+
+/**
+ * Read stored overrides; invalid entries are dropped
+ * @returns {Object} CONFIG key -> value
+ */
+export function loadPreferences() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEYS.PREFERENCES));
+    return isPlainObject(saved) ? pickValid(saved) : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Validate and persist overrides, replacing the stored ones
+ * @param {Object} overrides - CONFIG key -> value
+ * @throws {Error} First validation error (ERROR_MESSAGES value)
+ */
+export function storePreferences(overrides) {
+  for (const [key, value] of Object.entries(overrides)) {
+    const error = validatePreference(key, value);
+    if (error) throw new Error(error);
+  }
+
+  localStorage.setItem(STORAGE_KEYS.PREFERENCES, JSON.stringify(overrides));
+}
+
+/**
+ * Forget all overrides
+ */
+export function clearPreferences() {
+  localStorage.removeItem(STORAGE_KEYS.PREFERENCES);
+}
+
+/**
+ * Serialize overrides for download
+ * @param {Object} overrides - CONFIG key -> value
+ * @returns {string} JSON text
+ */
+export function serializePreferences(overrides) {
+  return JSON.stringify({ app: EXPORT_APP, version: EXPORT_VERSION, preferences: overrides }, null, 2);
+}
+
+/**
+ * Read overrides from an exported file
+ * @param {string} text - File contents
+ * @returns {Object} CONFIG key -> value (unknown keys ignored)
+ * @throws {Error} INVALID_SETTINGS_FILE, or a validation error
+ */
+export function parsePreferences(text) {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch {
+    throw new Error(ERROR_MESSAGES.INVALID_SETTINGS_FILE);
+  }
+
+  if (file?.app !== EXPORT_APP || file.version !== EXPORT_VERSION || !isPlainObject(file.preferences)) {
+    throw new Error(ERROR_MESSAGES.INVALID_SETTINGS_FILE);
+  }
+
+  const overrides = {};
+  for (const [key, value] of Object.entries(file.preferences)) {
+    if (!PREFERENCE_FIELDS[key]) continue;
+    const error = validatePreference(key, value);
+    if (error) throw new Error(error);
+    overrides[key] = value;
+  }
+  return overrides;
+}
+
+/**
+ * Check one preference value
+ * @param {string} key - CONFIG key
+ * @param {*} value - Candidate value
+ * @returns {string|null} ERROR_MESSAGES value, or null if valid
+ */
+export function validatePreference(key, value) {
+  const field = PREFERENCE_FIELDS[key];
+  if (!field) return ERROR_MESSAGES.INVALID_SETTING;
+
+  if (field.type === 'boolean') {
+    return typeof value === 'boolean' ? null : ERROR_MESSAGES.INVALID_SETTING;
+  }
+
+  if (field.type === 'number') {
+    return Number.isFinite(value) && value >= field.min && value <= field.max
+      ? null
+      : ERROR_MESSAGES.INVALID_SETTING;
+  }
+
+  if (!Array.isArray(value)) return ERROR_MESSAGES.INVALID_SETTING;
+  for (const server of value) {
+    const error = validateIceServer(server);
+    if (error) return error;
+  }
+  return null;
+}
+
+/**
+ * Check a single STUN/TURN server entry
+ * @param {RTCIceServer} server - { urls, username?, credential? }
+ * @returns {string|null} ERROR_MESSAGES value, or null if valid
+ */
+export function validateIceServer(server) {
+  const urls = serverUrls(server);
+  if (urls.length === 0 || !urls.every(url => typeof url === 'string' && SERVER_URL_PATTERN.test(url))) {
+    return ERROR_MESSAGES.ICE_SERVER_INVALID_URL;
+  }
+  if (isTurnServer(server) && (!server.username || !server.credential)) {
+    return ERROR_MESSAGES.ICE_TURN_CREDENTIALS_REQUIRED;
+  }
+  return null;
+}
+
+/**
+ * @param {RTCIceServer} server
+ * @returns {boolean}
+ */
+export function isTurnServer(server) {
+  return serverUrls(server).some(url => TURN_URL_PATTERN.test(url));
+}
+
+/**
+ * URLs of a server entry; RTCIceServer.urls may be one string or a list
+ * @param {RTCIceServer} server
+ * @returns {Array} Raw entries (not yet validated)
+ */
+export function serverUrls(server) {
+  const urls = server?.urls;
+  if (Array.isArray(urls)) return urls;
+  return urls === undefined ? [] : [urls];
+}
+
+/**
+ * Known, valid entries of a stored object
+ * @private
+ */
+function pickValid(saved) {
+  return Object.fromEntries(
+    Object.entries(saved).filter(([key, value]) => !validatePreference(key, value))
+  );
+}
+
+/**
+ * @private
+ */
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
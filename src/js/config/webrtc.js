@@ -3,17 +3,33 @@
  * All magic numbers and configurations centralized
  */
 
+import { CONNECTION_STRATEGIES, ERROR_MESSAGES } from './constants.js';
+import {
+  loadPreferences,
+  storePreferences,
+  clearPreferences,
+  serializePreferences,
+  parsePreferences,
+  isTurnServer,
+  PREFERENCE_FIELDS,
+} from './preferences.js';
+
 export const CONFIG = {
   // Timeouts (milliseconds)
   TOAST_DURATION: 2000,
   AUTO_PASTE_DELAY: 100,
   MEDIA_NEGOTIATION_DELAY: 500,
   ICE_GATHERING_TIMEOUT: 5000,
+  ICE_PROBE_TIMEOUT: 5000, // Max wait for a server test in the settings modal
+  OFFER_TTL: 15 * 60 * 1000, // Offers older than this are rejected
+  ICE_RESTART_BASE_DELAY: 1000, // First ICE restart delay, doubled per attempt
+  ICE_RESTART_MAX_DELAY: 16000, // Backoff ceiling between ICE restarts
 
-  // Video settings
+  // Video settings (ceilings - adaptive bitrate only ever goes below these)
   VIDEO_WIDTH: 640,
   VIDEO_HEIGHT: 480,
   VIDEO_FRAMERATE: 30,
+  VIDEO_MAX_BITRATE: 1500000, // Bits per second at full quality
 
   // Audio settings
   AUDIO_ECHO_CANCELLATION: true,
@@ -24,11 +40,60 @@ export const CONFIG = {
   QR_SIZE: 800,
   QR_ERROR_CORRECTION: 'H', // High error correction (30%) for better reliability
   QR_MARGIN: 2,
+  QR_ANIMATION_THRESHOLD: 600, // Payloads longer than this are shown as animated QR
+  QR_FRAME_LENGTH: 150,        // Bytes per animated QR frame
+  QR_FRAME_INTERVAL: 300,      // Milliseconds between animated QR frames
+  QR_SCAN_INTERVAL: 150,       // Milliseconds between live camera scan attempts
+  QR_SCAN_MAX_SIZE: 800,       // Longest side of frames sent to the scan worker
+
+  // File transfer
+  FILE_CHANNEL_ID: 10,                // Pre-negotiated data channel id for files
+  FILE_CHUNK_SIZE: 16 * 1024,         // Bytes per chunk (safe across browsers)
+  FILE_BUFFER_HIGH: 1024 * 1024,      // Pause sending above this bufferedAmount
+  FILE_BUFFER_LOW: 256 * 1024,        // Resume sending below this bufferedAmount
+  FILE_MAX_SIZE: 500 * 1024 * 1024,   // Received files are held in memory
+
+  // Chat
+  CHAT_MAX_LENGTH: 2000, // Characters per message; longer text is truncated
+
+  // RPC
+  RPC_TIMEOUT: 10000, // Milliseconds to wait for the peer to answer a call
+
+  // Statistics
+  STATS_INTERVAL: 1000, // Milliseconds between getStats polls
+  STATS_HISTORY: 60,    // Samples kept per graphed series
+
+  // Connection quality / adaptive bitrate (thresholds on media PC stats)
+  QUALITY_LOSS_FAIR: 2,  // Packet loss percent above which quality is fair
+  QUALITY_LOSS_POOR: 5,  // ... and poor
+  QUALITY_RTT_FAIR: 200, // Round-trip milliseconds above which quality is fair
+  QUALITY_RTT_POOR: 400, // ... and poor
+  ABR_DOWN_SAMPLES: 2,   // Consecutive poor samples before stepping video down
+  ABR_UP_SAMPLES: 5,     // Consecutive good samples before stepping back up
+
+  // Audio levels / active speaker (levels are 0-1, mapped from -60..0 dBFS)
+  AUDIO_LEVEL_INTERVAL: 100,   // Milliseconds between level readings
+  AUDIO_SPEAKING_LEVEL: 0.4,   // Level counted as speech
+  AUDIO_SPEAKER_HOLD: 1500,    // Silence before the active speaker highlight clears
+  AUDIO_MUTED_HINT_SAMPLES: 5, // Consecutive speech readings while muted before hinting
+  AUDIO_MUTED_HINT_HOLD: 3000, // Silence before the muted hint hides again
+
+  // Call recording
+  RECORDING_WIDTH: 1280,      // Composited recording canvas size
+  RECORDING_HEIGHT: 720,
+  RECORDING_FRAMERATE: 30,    // Canvas frames drawn per second
+  RECORDING_TIMESLICE: 1000,  // Milliseconds of media per MediaRecorder chunk
+  RECORDING_THUMBNAIL: 0.25,  // Thumbnail width as a fraction of the canvas in full modes
+
+  // Passphrase protection
+  PASSPHRASE_KDF_ITERATIONS: 250000, // PBKDF2-SHA-256 rounds for offer/answer encryption
 
   // WebRTC settings
+  CONNECTION_STRATEGY: CONNECTION_STRATEGIES.DUAL, // DUAL or SINGLE peer connection
   ICE_CANDIDATE_POOL_SIZE: 10,
+  ICE_RELAY_ONLY: false, // Only use TURN relays (hides our IP from the peer)
 
-  // ICE servers (STUN only - no TURN servers)
+  // ICE servers (STUN only - TURN servers can be added in settings)
   ICE_SERVERS: [
     { urls: 'stun:stun.l.google.com:19302' },
     { urls: 'stun:stun1.l.google.com:19302' },
@@ -36,23 +101,91 @@ export const CONFIG = {
   ],
 };
 
+/**
+ * Effective value of a tunable: the user's preference if set, else CONFIG
+ * @param {string} key - CONFIG key
+ * @returns {*}
+ */
+export function getSetting(key) {
+  const preferences = loadPreferences();
+  return key in preferences ? preferences[key] : CONFIG[key];
+}
+
+/**
+ * Effective values of every user-adjustable tunable
+ * @returns {Object} CONFIG key -> value
+ */
+export function getSettings() {
+  const preferences = loadPreferences();
+  return Object.fromEntries(
+    Object.keys(PREFERENCE_FIELDS).map(key => [key, key in preferences ? preferences[key] : CONFIG[key]])
+  );
+}
+
+/**
+ * Validate and save settings; values equal to CONFIG are not stored
+ * @param {Object} settings - CONFIG key -> value (all adjustable keys)
+ * @throws {Error} If a value is invalid
+ */
+export function saveSettings(settings) {
+  if (settings.ICE_RELAY_ONLY && !settings.ICE_SERVERS.some(isTurnServer)) {
+    throw new Error(ERROR_MESSAGES.ICE_RELAY_NEEDS_TURN);
+  }
+
+  storePreferences(Object.fromEntries(
+    Object.entries(settings).filter(([key, value]) => JSON.stringify(value) !== JSON.stringify(CONFIG[key]))
+  ));
+}
+
+/**
+ * Drop all saved settings
+ */
+export function resetSettings() {
+  clearPreferences();
+}
+
+/**
+ * Saved settings as a JSON file body
+ * @returns {string}
+ */
+export function exportSettings() {
+  return serializePreferences(loadPreferences());
+}
+
+/**
+ * Replace saved settings with those from an exported file
+ * @param {string} text - File contents
+ * @throws {Error} If the file or a value is invalid
+ */
+export function importSettings(text) {
+  saveSettings({ ...getDefaults(), ...parsePreferences(text) });
+}
+
+/**
+ * @private
+ */
+function getDefaults() {
+  return Object.fromEntries(Object.keys(PREFERENCE_FIELDS).map(key => [key, CONFIG[key]]));
+}
+
 /**
  * Get media constraints for getUserMedia
  * @param {Object} overrides - Optional constraint overrides
  * @returns {MediaStreamConstraints}
  */
 export function getMediaConstraints(overrides = {}) {
+  const settings = getSettings();
   return {
     audio: {
-      echoCancellation: CONFIG.AUDIO_ECHO_CANCELLATION,
-      noiseSuppression: CONFIG.AUDIO_NOISE_SUPPRESSION,
-      autoGainControl: CONFIG.AUDIO_AUTO_GAIN,
+      echoCancellation: settings.AUDIO_ECHO_CANCELLATION,
+      noiseSuppression: settings.AUDIO_NOISE_SUPPRESSION,
+      autoGainControl: settings.AUDIO_AUTO_GAIN,
       ...overrides.audio,
     },
     video: {
-      width: { ideal: CONFIG.VIDEO_WIDTH },
-      height: { ideal: CONFIG.VIDEO_HEIGHT },
-      frameRate: { ideal: CONFIG.VIDEO_FRAMERATE },
+      width: { ideal: settings.VIDEO_WIDTH, max: settings.VIDEO_WIDTH },
+      height: { ideal: settings.VIDEO_HEIGHT, max: settings.VIDEO_HEIGHT },
+      frameRate: { ideal: settings.VIDEO_FRAMERATE, max: settings.VIDEO_FRAMERATE },
       ...overrides.video,
     },
   };
@@ -60,11 +193,14 @@ export function getMediaConstraints(overrides = {}) {
 
 /**
  * Get RTCConfiguration for peer connections
+ * @note Read on every call so saved settings apply to the next connection
  * @returns {RTCConfiguration}
  */
 export function getRTCConfiguration() {
+  const settings = getSettings();
   return {
-    iceServers: CONFIG.ICE_SERVERS,
+    iceServers: settings.ICE_SERVERS,
+    iceTransportPolicy: settings.ICE_RELAY_ONLY ? 'relay' : 'all',
     iceCandidatePoolSize: CONFIG.ICE_CANDIDATE_POOL_SIZE,
   };
 }
@@ -9,10 +9,37 @@ import WebRTCService from '../services/WebRTCService.js';
 import SignalingService from '../services/SignalingService.js';
 import QRCodeService from '../services/QRCodeService.js';
 import MediaService from '../services/MediaService.js';
+import QRScannerService from '../services/QRScannerService.js';
+import FileTransferService from '../services/FileTransferService.js';
+import ChatService from '../services/ChatService.js';
+import RpcService from '../services/RpcService.js';
+import StatsService from '../services/StatsService.js';
+import AdaptiveBitrateService from '../services/AdaptiveBitrateService.js';
+import IceProbeService from '../services/IceProbeService.js';
+import RecordingService from '../services/RecordingService.js';
+import AudioAnalysisService from '../services/AudioAnalysisService.js';
 import store from '../store/index.js';
-import { PEER_ROLES, LOADING_MESSAGES, SUCCESS_MESSAGES, ERROR_MESSAGES } from '../config/constants.js';
-import { CONFIG } from '../config/webrtc.js';
+import {
+  PEER_ROLES,
+  VIDEO_MODES,
+  DEVICE_KINDS,
+  FACING_MODES,
+  RECORDING_STATES,
+  LOADING_MESSAGES,
+  SUCCESS_MESSAGES,
+  ERROR_MESSAGES,
+} from '../config/constants.js';
+import {
+  CONFIG,
+  getSettings,
+  saveSettings,
+  resetSettings,
+  exportSettings,
+  importSettings,
+} from '../config/webrtc.js';
 import { delay } from '../lib/helpers.js';
+import { isPassphraseError } from '../lib/signalEnvelope.js';
+import { validateIceServer } from '../config/preferences.js';
 import logger from '../lib/Logger.js';
 
 export default class ConnectionController {
@@ -21,12 +48,110 @@ export default class ConnectionController {
     this.signaling = new SignalingService();
     this.qrCode = new QRCodeService();
     this.media = new MediaService();
+    this.scanner = new QRScannerService(this.media);
+    this.fileTransfer = new FileTransferService();
+    this.chat = new ChatService(this.webrtc);
+    this.rpc = new RpcService(this.webrtc);
+    this.stats = new StatsService(this.webrtc);
+    this.bitrate = new AdaptiveBitrateService(this.webrtc, this.stats);
+    this.iceProbe = new IceProbeService();
+    this.recording = new RecordingService();
+    this.audio = new AudioAnalysisService();
+    this.mutedSpeechSamples = 0;
+    this.lastMutedSpeech = 0;
+    this.passphraseProvider = null;
 
     this.setupEventHandlers();
+    this.setupFileTransferHandlers();
+    this.setupChatHandlers();
+    this.setupMediaStateHandlers();
+    this.setupCapabilityHandlers();
+    this.setupRecordingHandlers();
+    this.setupAudioHandlers();
+
+    this.stats.on('sample', (sample) => store.commit('setStats', sample));
+    this.bitrate.on('quality', ({ level }) => store.commit('setConnectionQuality', level));
+    this.media.on('devicechange', () => {
+      this.handleDeviceChange().catch(error => logger.error('Device change handling failed:', error));
+    });
+  }
+
+  /**
+   * Set callback used to ask the user for a passphrase
+   * @param {Function} provider - ({ error }) => Promise<string|null>
+   */
+  setPassphraseProvider(provider) {
+    this.passphraseProvider = provider;
+  }
+
+  /**
+   * Protect offers/answers created from now on with a passphrase
+   * @param {string|null} passphrase - Shared passphrase, empty/null to disable
+   */
+  setPassphrase(passphrase) {
+    this.signaling.setPassphrase(passphrase);
+    store.commit('setPassphraseEnabled', this.signaling.hasPassphrase());
+  }
+
+  /**
+   * Get effective values of all user-adjustable settings
+   * @returns {Object} CONFIG key -> value
+   */
+  getSettings() {
+    return getSettings();
+  }
+
+  /**
+   * Save settings; they apply to the next camera request / connection
+   * @param {Object} settings - CONFIG key -> value
+   * @throws {Error} If a value is invalid
+   */
+  saveSettings(settings) {
+    saveSettings(settings);
+    logger.info('Settings saved');
+  }
+
+  /**
+   * Restore all settings to their defaults
+   */
+  resetSettings() {
+    resetSettings();
+    logger.info('Settings reset to defaults');
+  }
+
+  /**
+   * Saved settings as JSON for download
+   * @returns {string}
+   */
+  exportSettings() {
+    return exportSettings();
+  }
+
+  /**
+   * Replace settings with those from an exported file
+   * @param {string} text - File contents
+   * @throws {Error} If the file or a value is invalid
+   */
+  importSettings(text) {
+    importSettings(text);
+    logger.info('Settings imported');
+  }
+
+  /**
+   * Check which candidate types a server yields
+   * @param {RTCIceServer} server - Server to probe
+   * @returns {Promise<{types: string[], ok: boolean}>}
+   * @throws {Error} If the server entry is invalid
+   */
+  async probeIceServer(server) {
+    const error = validateIceServer(server);
+    if (error) throw new Error(error);
+    return this.iceProbe.probe(server);
   }
 
   /**
    * Setup event handlers for WebRTC service
+   * @note Registered once; WebRTCService.cleanup() keeps them across reset()
    */
   setupEventHandlers() {
     // Data connection established
@@ -41,15 +166,24 @@ export default class ConnectionController {
     // Data channel opened
     this.webrtc.on('datachannel-open', () => {
       logger.info('DataChannel is open and ready');
+      this.sendMediaState();
+      this.fetchPeerCapabilities();
+    });
+
+    // Data channel closed - nothing will answer outstanding calls
+    this.webrtc.on('datachannel-close', () => {
+      this.rpc.rejectAll();
+    });
+
+    // File channel opened
+    this.webrtc.on('file-channel-open', (channel) => {
+      this.fileTransfer.attach(channel);
     });
 
     // Media offer received (responder)
     this.webrtc.on('media-offer-received', async ({ offerData }) => {
-      const localStream = store.state.localStream;
-      if (localStream) {
-        store.commit('setLoadingMessage', '🎥 Establishing video connection...');
-        await this.webrtc.processMediaOffer(offerData, localStream);
-      }
+      store.commit('setLoadingMessage', '🎥 Establishing video connection...');
+      await this.webrtc.processMediaOffer(offerData, store.state.localStream);
     });
 
     // Media connection established
@@ -62,30 +196,205 @@ export default class ConnectionController {
     this.webrtc.on('remote-track', ({ streams }) => {
       logger.info('Remote stream received');
       store.commit('setRemoteStream', streams[0]);
+      this.audio.setStream('remote', streams[0]);
       store.commit('setLoadingMessage', '✅ Connected!');
       setTimeout(() => {
         store.commit('setLoading', false);
         store.commit('setLoadingMessage', null);
       }, 500);
       store.dispatch('connectEstablished');
+      this.stats.start();
+      this.bitrate.start();
+    });
+
+    // Media ICE lost - restart in progress
+    this.webrtc.on('reconnecting', ({ attempt }) => {
+      store.dispatch(
+        'startReconnecting',
+        `${LOADING_MESSAGES.RECONNECTING} (attempt ${attempt})`
+      );
+    });
+
+    // Media ICE recovered
+    this.webrtc.on('reconnected', () => {
+      store.dispatch('connectEstablished');
+      store.commit('setLoadingMessage', null);
     });
 
     // Connection failed
     this.webrtc.on('connection-failed', () => {
+      this.stats.stop();
+      this.bitrate.stop();
       store.commit('setLoading', false);
       store.commit('setLoadingMessage', null);
       store.dispatch('connectionFailed', ERROR_MESSAGES.CONNECTION_FAILED);
     });
   }
 
+  /**
+   * Mirror file transfer events into the store
+   */
+  setupFileTransferHandlers() {
+    this.fileTransfer.on('progress', (transfer) => {
+      store.commit('updateFileTransfer', { ...transfer, status: 'active' });
+    });
+
+    this.fileTransfer.on('complete', ({ blob, ...transfer }) => {
+      store.commit('updateFileTransfer', {
+        ...transfer,
+        transferred: transfer.size,
+        status: 'complete',
+        url: blob ? URL.createObjectURL(blob) : null,
+      });
+    });
+
+    this.fileTransfer.on('cancelled', ({ byPeer, ...transfer }) => {
+      store.commit('updateFileTransfer', { ...transfer, status: 'cancelled', byPeer });
+    });
+
+    this.fileTransfer.on('error', ({ message, ...transfer }) => {
+      store.commit('updateFileTransfer', { ...transfer, status: 'failed', error: message });
+    });
+  }
+
+  /**
+   * Mirror chat events into the store
+   */
+  setupChatHandlers() {
+    this.chat.on('message', (message) => {
+      store.commit('addChatMessage', { ...message, direction: 'receive', delivered: true });
+    });
+
+    this.chat.on('delivered', (id) => {
+      store.commit('markChatDelivered', id);
+    });
+  }
+
+  /**
+   * Mirror the peer's mic/camera state into the store
+   * @note Sent as { type: 'media-state', micEnabled, cameraEnabled } when the
+   *       data channel opens and on every toggle - a disabled track otherwise
+   *       just looks like a frozen black frame or a silent mic
+   */
+  setupMediaStateHandlers() {
+    this.webrtc.registerMessageHandler(
+      'media-state',
+      { micEnabled: 'boolean', cameraEnabled: 'boolean' },
+      ({ micEnabled, cameraEnabled }) => {
+        store.commit('setRemoteMicEnabled', micEnabled);
+        store.commit('setRemoteCameraEnabled', cameraEnabled);
+      }
+    );
+  }
+
+  /**
+   * Answer the peer's 'get-capabilities' RPC
+   * @note Audio-only is chosen before connecting, so one query per call is enough
+   */
+  setupCapabilityHandlers() {
+    this.rpc.expose('get-capabilities', () => ({
+      receivesVideo: !store.state.audioOnly,
+    }));
+  }
+
+  /**
+   * Ask the peer what it can receive
+   * @private
+   */
+  async fetchPeerCapabilities() {
+    try {
+      store.commit('setPeerCapabilities', await this.rpc.call('get-capabilities'));
+    } catch (error) {
+      // Older peers don't expose the method - assume they receive everything
+      logger.warn('Peer capabilities unavailable:', error.message);
+    }
+  }
+
+  /**
+   * Mirror recording progress into the store and tell the peer when it starts/stops
+   * @note The peer is told with { type: 'recording-state', recording }; paused
+   *       still counts as recording
+   */
+  setupRecordingHandlers() {
+    this.recording.on('tick', (elapsed) => store.commit('setRecordingElapsed', elapsed));
+
+    this.recording.on('state', (state) => {
+      const wasRecording = store.state.recordingState !== RECORDING_STATES.INACTIVE;
+      const isRecording = state !== RECORDING_STATES.INACTIVE;
+
+      store.commit('setRecordingState', state);
+      if (!isRecording) store.commit('setRecordingElapsed', 0);
+      if (wasRecording !== isRecording) {
+        this.webrtc.sendMessage({ type: 'recording-state', recording: isRecording });
+      }
+    });
+
+    this.webrtc.registerMessageHandler(
+      'recording-state',
+      { recording: 'boolean' },
+      ({ recording }) => store.commit('setRemoteRecording', recording)
+    );
+  }
+
+  /**
+   * Mirror audio levels and the active speaker into the store, and flag
+   * sustained speech while the mic is muted
+   */
+  setupAudioHandlers() {
+    this.audio.on('levels', (levels) => {
+      store.commit('setAudioLevels', levels);
+
+      const mutedSpeech = !store.state.micEnabled && levels.local >= CONFIG.AUDIO_SPEAKING_LEVEL;
+      this.mutedSpeechSamples = mutedSpeech ? this.mutedSpeechSamples + 1 : 0;
+      if (this.mutedSpeechSamples >= CONFIG.AUDIO_MUTED_HINT_SAMPLES) {
+        this.lastMutedSpeech = Date.now();
+      }
+
+      const mutedTalking = !store.state.micEnabled
+        && Date.now() - this.lastMutedSpeech < CONFIG.AUDIO_MUTED_HINT_HOLD;
+      if (mutedTalking !== store.state.mutedTalking) {
+        store.commit('setMutedTalking', mutedTalking);
+      }
+    });
+
+    this.audio.on('speaker', (speaker) => store.commit('setActiveSpeaker', speaker));
+  }
+
+  /**
+   * Tell the peer whether our mic and video are on
+   * @note A shared screen counts as video even while the camera is off;
+   *       a receive-only side reports both off
+   */
+  sendMediaState() {
+    const sending = !store.state.receiveOnly;
+
+    this.webrtc.sendMessage({
+      type: 'media-state',
+      micEnabled: sending && store.state.micEnabled,
+      cameraEnabled: (sending && store.state.cameraEnabled && !store.state.audioOnly) || Boolean(store.state.screenStream),
+    });
+  }
+
   /**
    * Initialize camera and check for offer in URL
+   * @note Without camera/microphone (denied, missing, in use) the app
+   *       falls back to receive-only
+   * @returns {Promise<string|null>} Notice for the user: why nothing is sent, if so
    */
   async init() {
+    let notice = null;
+
     try {
       // Get camera/microphone
-      const stream = await this.media.getUserMedia();
-      store.commit('setLocalStream', stream);
+      try {
+        this.useLocalStream(await this.media.getUserMedia());
+      } catch (error) {
+        logger.warn('No local media, falling back to receive-only:', error);
+        store.commit('setReceiveOnly', true);
+        notice = `${error.message} · ${SUCCESS_MESSAGES.RECEIVE_ONLY_ON}`;
+      }
+      this.audio.start();
+      await this.refreshDevices();
 
       // Check if there's an offer in URL hash
       if (this.signaling.hasOfferInHash()) {
@@ -100,6 +409,8 @@ export default class ConnectionController {
       store.commit('setError', error.message);
       throw error;
     }
+
+    return notice;
   }
 
   /**
@@ -126,7 +437,7 @@ export default class ConnectionController {
 
       // Create shareable URL
       store.commit('setLoadingMessage', '📤 Preparing offer...');
-      const offerUrl = this.signaling.createOfferUrl(offerDescription);
+      const offerUrl = await this.signaling.createOfferUrl(offerDescription);
       store.commit('setOfferUrl', offerUrl);
 
       // Update UI state
@@ -156,7 +467,7 @@ export default class ConnectionController {
       logger.info('📥 Processing offer from URL...');
 
       // Parse offer from hash
-      const offerData = this.signaling.getOfferFromHash();
+      const offerData = await this.readOfferFromHash();
       if (!offerData) {
         throw new Error(ERROR_MESSAGES.INVALID_OFFER);
       }
@@ -176,9 +487,12 @@ export default class ConnectionController {
 
       // Create answer code
       store.commit('setLoadingMessage', '📤 Preparing answer...');
-      const answerCode = this.signaling.createAnswerCode(answerDescription);
+      const answerCode = await this.signaling.createAnswerCode(answerDescription, offerData.sessionId);
       store.commit('setAnswerCode', answerCode);
 
+      // Reopening this link must not silently answer it again
+      this.signaling.markOfferConsumed(offerData.sessionId);
+
       // Update UI state
       await store.dispatch('becomeResponder');
 
@@ -191,10 +505,53 @@ export default class ConnectionController {
       store.commit('setError', error.message);
       store.commit('setProcessing', false);
       store.commit('setLoading', false);
+
+      // Dead link - drop it so the user can start over instead of retrying it
+      if (
+        error.message === ERROR_MESSAGES.OFFER_EXPIRED ||
+        error.message === ERROR_MESSAGES.OFFER_ALREADY_USED
+      ) {
+        this.signaling.clearHash();
+        store.commit('setButtonState', 'initial');
+      }
       throw error;
     }
   }
 
+  /**
+   * Read offer from URL hash, asking for the passphrase until it decrypts
+   * @private
+   * @returns {Promise<Object|null>} Decoded offer or null
+   * @throws {Error} PASSPHRASE_REQUIRED if the user cancels the prompt
+   */
+  async readOfferFromHash() {
+    while (true) {
+      let promptError = null;
+
+      try {
+        return await this.signaling.getOfferFromHash();
+      } catch (error) {
+        if (!isPassphraseError(error) || !this.passphraseProvider) {
+          throw error;
+        }
+        if (error.message === ERROR_MESSAGES.WRONG_PASSPHRASE) {
+          promptError = error.message;
+        }
+      }
+
+      // Prompt sits under the loading overlay otherwise
+      store.commit('setLoading', false);
+      const passphrase = await this.passphraseProvider({ error: promptError });
+      if (!passphrase) {
+        throw new Error(ERROR_MESSAGES.PASSPHRASE_REQUIRED);
+      }
+
+      // Same passphrase encrypts our answer
+      this.setPassphrase(passphrase);
+      store.commit('setLoading', true);
+    }
+  }
+
   /**
    * Process answer code from initiator
    */
@@ -207,7 +564,11 @@ export default class ConnectionController {
       store.commit('setLoadingMessage', '📥 Processing answer...');
       logger.info('📥 Processing answer...');
 
-      const answerData = this.signaling.parseAnswer(answerCode);
+      const answerData = await this.signaling.parseAnswer(answerCode);
+      // Our offer is always v3, so an answer without a session id (v1/v2) can't be matched to it
+      if (answerData.sessionId !== this.signaling.getSessionId()) {
+        throw new Error(ERROR_MESSAGES.ANSWER_SESSION_MISMATCH);
+      }
 
       store.commit('setLoadingMessage', '🔗 Establishing connection...');
       await this.webrtc.setRemoteAnswer({
@@ -230,15 +591,10 @@ export default class ConnectionController {
 
   /**
    * Start media negotiation after data channel is established
+   * @note A receive-only side has no local stream; its media PC only receives
    */
   async startMediaNegotiation() {
-    const localStream = store.state.localStream;
-    if (!localStream) {
-      logger.warn('No local stream available for media negotiation');
-      return;
-    }
-
-    await this.webrtc.startMediaNegotiation(localStream);
+    await this.webrtc.startMediaNegotiation(store.state.localStream);
   }
 
   /**
@@ -326,38 +682,422 @@ export default class ConnectionController {
       throw new Error('No data available for QR code');
     }
 
-    const canvas = await this.qrCode.generateQRCode(data);
+    // Dense payloads don't scan reliably as one code - cycle frames instead
+    const canvas = this.qrCode.needsAnimation(data)
+      ? await this.qrCode.startAnimation(data)
+      : await this.qrCode.generateQRCode(data);
+
     this.qrCode.setCurrentQRData(canvas);
     return canvas;
   }
 
+  /**
+   * Check if the current offer/answer must be shown as animated QR
+   * @returns {boolean}
+   */
+  needsAnimatedQR() {
+    const data = store.state.answerCode || store.state.offerUrl;
+    return Boolean(data) && this.qrCode.needsAnimation(data);
+  }
+
+  /**
+   * Stop animated QR playback (modal closed)
+   */
+  stopQRAnimation() {
+    this.qrCode.stopAnimation();
+  }
+
   /**
    * Process QR code from image
    */
   async processQRCode(blob, context) {
     try {
       const result = await this.qrCode.decodeQRFromBlob(blob, context);
+      return await this.handleQRResult(result, context);
+    } catch (error) {
+      logger.error('Failed to process QR code:', error);
+      throw error;
+    }
+  }
 
-      if (context === 'offer') {
-        // Process as offer
-        logger.info('Processing offer from QR code');
+  /**
+   * Process QR text decoded by the live camera scanner
+   */
+  async processScannedQR(text, context) {
+    try {
+      const result = await this.qrCode.processDecodedText(text, context);
+      return await this.handleQRResult(result, context);
+    } catch (error) {
+      logger.error('Failed to process scanned QR code:', error);
+      throw error;
+    }
+  }
 
-        // Set hash and handle offer
-        this.signaling.setHashFromOffer(result.data);
-        await this.handleOfferFromHash();
+  /**
+   * Act on a validated QR result
+   * @private
+   */
+  async handleQRResult(result, context) {
+    // Animated QR frame - keep collecting until the payload is complete
+    if (result.type === 'partial') {
+      return `📶 Animated QR ${Math.round(result.progress * 100)}% received, keep scanning`;
+    }
 
-        return SUCCESS_MESSAGES.OFFER_RECEIVED;
-      } else if (context === 'answer') {
-        // Process as answer
-        logger.info('Processing answer from QR code');
-        await this.processAnswer(result.data);
+    if (context === 'offer') {
+      // Process as offer
+      logger.info('Processing offer from QR code');
 
-        return SUCCESS_MESSAGES.ANSWER_RECEIVED;
-      }
+      // Set hash and handle offer
+      this.signaling.setHashFromOffer(result.data);
+      await this.handleOfferFromHash();
+
+      return SUCCESS_MESSAGES.OFFER_RECEIVED;
+    } else if (context === 'answer') {
+      // Process as answer
+      logger.info('Processing answer from QR code');
+      await this.processAnswer(result.data);
+
+      return SUCCESS_MESSAGES.ANSWER_RECEIVED;
+    }
+  }
+
+  /**
+   * Send the screen instead of the camera
+   * @returns {Promise<string>} Success message
+   */
+  async startScreenShare() {
+    const screenTrack = await this.media.startScreenShare();
+
+    // Browser's own "Stop sharing" bar ends the track
+    screenTrack.addEventListener('ended', () => {
+      this.stopScreenShare().catch(error => logger.error('Failed to restore camera:', error));
+    });
+
+    try {
+      await this.webrtc.replaceVideoTrack(screenTrack);
     } catch (error) {
-      logger.error('Failed to process QR code:', error);
+      this.media.stopScreenShare();
       throw error;
     }
+
+    store.commit('setScreenStream', this.media.getScreenStream());
+    this.sendMediaState();
+    logger.info('🖥️ Screen sharing started');
+    return SUCCESS_MESSAGES.SCREEN_SHARE_STARTED;
+  }
+
+  /**
+   * Stop sending the screen and restore the camera
+   * @returns {Promise<string|null>} Success message, null if not sharing
+   */
+  async stopScreenShare() {
+    if (!store.state.screenStream) return null;
+
+    const [cameraTrack] = store.state.localStream?.getVideoTracks() ?? [];
+    store.commit('setScreenStream', null);
+    this.media.stopScreenShare();
+    this.sendMediaState();
+
+    if (this.webrtc.mediaPc) {
+      await this.webrtc.replaceVideoTrack(cameraTrack ?? null);
+    }
+
+    logger.info('📷 Screen sharing stopped');
+    return SUCCESS_MESSAGES.SCREEN_SHARE_STOPPED;
+  }
+
+  /**
+   * Choose between a video and an audio-only call (before connecting)
+   * @param {boolean} audioOnly - true to drop the camera
+   * @returns {Promise<string>} Success message
+   */
+  async setAudioOnly(audioOnly) {
+    // Receive-only: nothing to add or drop, only which media to ask the peer for
+    if (store.state.receiveOnly) {
+      this.applyAudioOnly(audioOnly);
+      return audioOnly ? SUCCESS_MESSAGES.AUDIO_ONLY_ON : SUCCESS_MESSAGES.AUDIO_ONLY_OFF;
+    }
+
+    if (audioOnly) {
+      this.media.removeVideo();
+    } else {
+      await this.media.restoreVideo();
+    }
+
+    store.commit('setLocalStream', this.media.getLocalStream());
+    this.applyAudioOnly(audioOnly);
+    if (!audioOnly) {
+      store.commit('setSelectedDevice', { kind: DEVICE_KINDS.CAMERA, deviceId: this.media.getDeviceId('video') });
+      store.commit('setCameraFacing', this.media.getFacingMode());
+    }
+
+    logger.info(audioOnly ? '🎧 Audio-only call' : '📷 Video call');
+    return audioOnly ? SUCCESS_MESSAGES.AUDIO_ONLY_ON : SUCCESS_MESSAGES.AUDIO_ONLY_OFF;
+  }
+
+  /**
+   * Watch without sending anything, or go back to sending (before connecting)
+   * @param {boolean} receiveOnly - true to release the camera and microphone
+   * @returns {Promise<string>} Success message
+   */
+  async setReceiveOnly(receiveOnly) {
+    if (receiveOnly) {
+      this.media.stopAllTracks();
+      store.commit('setLocalStream', null);
+      store.commit('setSelectedDevice', { kind: DEVICE_KINDS.CAMERA, deviceId: null });
+      store.commit('setSelectedDevice', { kind: DEVICE_KINDS.MICROPHONE, deviceId: null });
+      this.audio.setStream('local', null);
+    } else {
+      this.useLocalStream(await this.media.getUserMedia({}, { audioOnly: store.state.audioOnly }));
+    }
+
+    store.commit('setReceiveOnly', receiveOnly);
+    logger.info(receiveOnly ? '👀 Receive-only' : '📷 Sending local media');
+    return receiveOnly ? SUCCESS_MESSAGES.RECEIVE_ONLY_ON : SUCCESS_MESSAGES.RECEIVE_ONLY_OFF;
+  }
+
+  /**
+   * Take a fresh getUserMedia stream as the local media
+   * @private
+   */
+  useLocalStream(stream) {
+    store.commit('setLocalStream', stream);
+    this.applyAudioOnly(stream.getVideoTracks().length === 0);
+    store.commit('setSelectedDevice', { kind: DEVICE_KINDS.CAMERA, deviceId: this.media.getDeviceId('video') });
+    store.commit('setSelectedDevice', { kind: DEVICE_KINDS.MICROPHONE, deviceId: this.media.getDeviceId('audio') });
+    store.commit('setCameraFacing', this.media.getFacingMode());
+    this.audio.setStream('local', stream);
+  }
+
+  /**
+   * @private
+   */
+  applyAudioOnly(audioOnly) {
+    store.commit('setAudioOnly', audioOnly);
+    this.webrtc.setAudioOnly(audioOnly);
+  }
+
+  /**
+   * Re-read the camera, microphone and speaker lists
+   * @returns {Promise<Object>} { cameras, microphones, speakers }
+   */
+  async refreshDevices() {
+    const devices = await this.media.enumerateDevices();
+    store.commit('setDevices', devices);
+    return devices;
+  }
+
+  /**
+   * Use another camera, microphone or speaker, mid-call included
+   * @param {string} kind - DEVICE_KINDS value
+   * @param {string} deviceId - enumerateDevices deviceId
+   * @returns {Promise<string>} Success message
+   */
+  async switchDevice(kind, deviceId) {
+    // Speaker output is applied by MediaController from the store
+    if (kind === DEVICE_KINDS.SPEAKER) {
+      store.commit('setSelectedDevice', { kind, deviceId });
+      return SUCCESS_MESSAGES.DEVICE_SWITCHED;
+    }
+
+    const trackKind = kind === DEVICE_KINDS.CAMERA ? 'video' : 'audio';
+    const track = await this.acquireLocalTrack(trackKind, () => this.media.switchDevice(trackKind, deviceId));
+    await this.useLocalTrack(trackKind, track);
+
+    store.commit('setSelectedDevice', { kind, deviceId });
+    logger.info(`🎛️ ${kind} switched`, { label: track.label });
+    return SUCCESS_MESSAGES.DEVICE_SWITCHED;
+  }
+
+  /**
+   * Switch between the front and rear camera
+   * @returns {Promise<void>}
+   */
+  async flipCamera() {
+    const facingMode = store.state.cameraFacing === FACING_MODES.ENVIRONMENT
+      ? FACING_MODES.USER
+      : FACING_MODES.ENVIRONMENT;
+
+    const track = await this.acquireLocalTrack('video', () => this.media.switchFacingMode(facingMode));
+    await this.useLocalTrack('video', track);
+
+    store.commit('setSelectedDevice', { kind: DEVICE_KINDS.CAMERA, deviceId: this.media.getDeviceId('video') });
+    logger.info(`🔄 Camera flipped to ${facingMode}`);
+  }
+
+  /**
+   * Run a MediaService track switch; if it fails after reopening the previous
+   * device, send that track instead of the ended one
+   * @private
+   * @param {string} kind - 'audio' or 'video'
+   * @param {Function} acquire - () => Promise<MediaStreamTrack>
+   * @returns {Promise<MediaStreamTrack>}
+   */
+  async acquireLocalTrack(kind, acquire) {
+    try {
+      return await acquire();
+    } catch (error) {
+      const stream = this.media.getLocalStream();
+      if (stream && stream !== store.state.localStream) {
+        const [restored] = kind === 'audio' ? stream.getAudioTracks() : stream.getVideoTracks();
+        await this.useLocalTrack(kind, restored);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Send a freshly acquired local track and publish the new local stream
+   * @private
+   * @param {string} kind - 'audio' or 'video'
+   * @param {MediaStreamTrack} track - Track now in media.localStream
+   */
+  async useLocalTrack(kind, track) {
+    // While sharing, the video sender carries the screen - stopScreenShare
+    // picks the new camera up from localStream
+    const isSent = kind === 'audio' || !store.state.screenStream;
+    if (this.webrtc.mediaPc && isSent) {
+      await this.webrtc.replaceTrack(kind, track);
+    }
+
+    store.commit('setLocalStream', this.media.getLocalStream());
+    if (kind === 'video') {
+      store.commit('setCameraFacing', this.media.getFacingMode());
+    } else {
+      this.audio.setStream('local', this.media.getLocalStream());
+    }
+  }
+
+  /**
+   * Devices were plugged in or removed: refresh the lists and move off any
+   * selected device that is gone
+   * @private
+   */
+  async handleDeviceChange() {
+    const devices = await this.refreshDevices();
+    const { camera, microphone, speaker } = store.state.selectedDevices;
+    const isPresent = (list, deviceId) => list.some(device => device.deviceId === deviceId);
+
+    if (camera && !store.state.audioOnly && !isPresent(devices.cameras, camera) && devices.cameras.length) {
+      logger.warn('📷 Selected camera was removed, falling back');
+      await this.switchDevice(DEVICE_KINDS.CAMERA, devices.cameras[0].deviceId);
+    }
+
+    if (microphone && !isPresent(devices.microphones, microphone) && devices.microphones.length) {
+      logger.warn('🎙️ Selected microphone was removed, falling back');
+      await this.switchDevice(DEVICE_KINDS.MICROPHONE, devices.microphones[0].deviceId);
+    }
+
+    if (speaker && !isPresent(devices.speakers, speaker)) {
+      logger.warn('🔈 Selected speaker was removed, using the default');
+      store.commit('setSelectedDevice', { kind: DEVICE_KINDS.SPEAKER, deviceId: null });
+    }
+  }
+
+  /**
+   * Send files to the peer
+   * @param {File[]} files - Files to send
+   */
+  sendFiles(files) {
+    if (!this.webrtc.fileChannel || this.webrtc.fileChannel.readyState !== 'open') {
+      throw new Error(ERROR_MESSAGES.FILE_NOT_CONNECTED);
+    }
+
+    files.forEach(file => this.fileTransfer.sendFile(file));
+  }
+
+  /**
+   * Cancel a file transfer in either direction
+   * @param {string} id - Transfer id
+   */
+  cancelFileTransfer(id) {
+    this.fileTransfer.cancel(id);
+  }
+
+  /**
+   * Remove a finished transfer from the list and release its download
+   * @param {string} id - Transfer id
+   */
+  dismissFileTransfer(id) {
+    const transfer = store.state.fileTransfers.find(item => item.id === id);
+    if (transfer?.url) {
+      URL.revokeObjectURL(transfer.url);
+    }
+    store.commit('removeFileTransfer', id);
+  }
+
+  /**
+   * Check if this browser can record calls
+   * @returns {boolean}
+   */
+  isRecordingSupported() {
+    return this.recording.isSupported();
+  }
+
+  /**
+   * Start recording the call as laid out on screen
+   * @returns {string} Success message
+   */
+  startRecording() {
+    if (!store.state.remoteStream) {
+      throw new Error(ERROR_MESSAGES.RECORDING_NOT_CONNECTED);
+    }
+
+    this.recording.start(() => ({
+      localVideo: store.state.screenStream || store.state.localStream,
+      localAudio: store.state.localStream,
+      remote: store.state.remoteStream,
+      mode: store.state.receiveOnly ? VIDEO_MODES.REMOTE_FULL : store.state.videoMode,
+    }));
+    return SUCCESS_MESSAGES.RECORDING_STARTED;
+  }
+
+  /**
+   * Pause or resume the recording
+   */
+  toggleRecordingPause() {
+    if (this.recording.getState() === RECORDING_STATES.PAUSED) {
+      this.recording.resume();
+    } else {
+      this.recording.pause();
+    }
+  }
+
+  /**
+   * Finish the recording and offer the WebM file for download
+   * @returns {Promise<string|null>} Success message, null if not recording
+   */
+  async stopRecording() {
+    const blob = await this.recording.stop();
+    if (!blob) return null;
+
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-');
+    store.commit('setRecordingFile', {
+      url: URL.createObjectURL(blob),
+      name: `p2p-call-${stamp}.webm`,
+      size: blob.size,
+    });
+    return SUCCESS_MESSAGES.RECORDING_SAVED;
+  }
+
+  /**
+   * Release the finished recording once it has been downloaded
+   */
+  releaseRecordingFile() {
+    const file = store.state.recordingFile;
+    if (file) {
+      URL.revokeObjectURL(file.url);
+      store.commit('setRecordingFile', null);
+    }
+  }
+
+  /**
+   * Send a chat message to the peer
+   * @param {string} text - Message text
+   */
+  sendChatMessage(text) {
+    const message = this.chat.send(text);
+    store.commit('addChatMessage', { ...message, direction: 'send', delivered: false });
   }
 
   /**
@@ -366,6 +1106,32 @@ export default class ConnectionController {
   async reset() {
     logger.info('Resetting to initial state...');
 
+    // Save a running recording while the remote stream is still there
+    await this.stopRecording();
+
+    // Stop screen capture before the peer connection goes away
+    this.media.stopScreenShare();
+    store.commit('setScreenStream', null);
+
+    // Abort transfers and release received files
+    this.fileTransfer.detach();
+    store.state.fileTransfers.forEach(transfer => {
+      if (transfer.url) URL.revokeObjectURL(transfer.url);
+    });
+    store.commit('clearFileTransfers');
+    store.commit('clearChat');
+    this.rpc.rejectAll();
+    store.commit('setRemoteMicEnabled', true);
+    store.commit('setRemoteCameraEnabled', true);
+    store.commit('setRemoteRecording', false);
+    store.commit('setPeerCapabilities', null);
+    this.audio.setStream('remote', null);
+
+    this.stats.stop();
+    this.bitrate.stop();
+    store.commit('setStats', null);
+    store.commit('setConnectionQuality', null);
+
     // Cleanup WebRTC connections
     this.webrtc.cleanup();
 
@@ -387,7 +1153,10 @@ export default class ConnectionController {
   /**
    * Close connection and reload page
    */
-  closeConnection() {
+  async closeConnection() {
+    await this.stopRecording();
+    this.audio.stop();
+    this.stats.stop();
     this.webrtc.cleanup();
 
     // Stop all media
@@ -411,4 +1180,11 @@ export default class ConnectionController {
   getQRService() {
     return this.qrCode;
   }
+
+  /**
+   * Get live QR scanner for external use
+   */
+  getScannerService() {
+    return this.scanner;
+  }
 }
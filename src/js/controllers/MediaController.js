@@ -6,7 +6,7 @@
  */
 
 import store from '../store/index.js';
-import { VIDEO_MODES } from '../config/constants.js';
+import { VIDEO_MODES, ERROR_MESSAGES } from '../config/constants.js';
 import logger from '../lib/Logger.js';
 
 export default class MediaController {
@@ -46,12 +46,38 @@ export default class MediaController {
     }
   }
 
+  /**
+   * Check if the browser can route audio to a chosen output device
+   * @returns {boolean}
+   */
+  isAudioOutputSupported() {
+    return typeof HTMLMediaElement !== 'undefined' && 'setSinkId' in HTMLMediaElement.prototype;
+  }
+
+  /**
+   * Play remote audio through a specific output device
+   * @param {string|null} deviceId - enumerateDevices deviceId, null for the system default
+   * @returns {Promise<void>}
+   */
+  async setAudioOutput(deviceId) {
+    if (!this.isAudioOutputSupported()) {
+      throw new Error(ERROR_MESSAGES.SPEAKER_SELECTION_UNSUPPORTED);
+    }
+
+    if (this.remoteVideoElement) {
+      await this.remoteVideoElement.setSinkId(deviceId ?? '');
+      logger.debug('Audio output set', { deviceId });
+    }
+  }
+
   /**
    * Update video layout based on current mode
    */
   updateVideoLayout() {
-    const mode = store.state.videoMode;
-    const isConnected = store.state.connectionState === 'connected';
+    // Receive-only has no local video to lay out
+    const mode = store.state.receiveOnly ? VIDEO_MODES.REMOTE_FULL : store.state.videoMode;
+    // Keep the (frozen) remote video in place while ICE restarts
+    const isConnected = ['connected', 'reconnecting'].includes(store.state.connectionState);
 
     if (!this.videoGridElement || !this.localVideoElement || !this.remoteVideoElement) {
       logger.warn('Video elements not set');
@@ -65,6 +91,8 @@ export default class MediaController {
 
     // Re-apply base styles
     this.localVideoElement.classList.add('local-video');
+    this.localVideoElement.classList.toggle('screen', Boolean(store.state.screenStream));
+    this.localVideoElement.classList.toggle('hidden', store.state.receiveOnly);
 
     if (!isConnected) {
       // Before connection: hide remote video
@@ -72,6 +100,8 @@ export default class MediaController {
       return;
     }
 
+    this.highlightSpeaker(store.state.activeSpeaker);
+
     // Apply layout mode
     if (mode === VIDEO_MODES.SPLIT) {
       // Check orientation for split direction
@@ -93,6 +123,18 @@ export default class MediaController {
     logger.debug(`Video layout updated: ${mode}`);
   }
 
+  /**
+   * Outline the video of whoever is talking
+   * @param {string|null} speaker - 'local', 'remote' or null
+   */
+  highlightSpeaker(speaker) {
+    // Only meaningful with two videos on screen
+    const isConnected = ['connected', 'reconnecting'].includes(store.state.connectionState);
+
+    this.localVideoElement?.classList.toggle('speaking', isConnected && speaker === 'local');
+    this.remoteVideoElement?.classList.toggle('speaking', isConnected && speaker === 'remote');
+  }
+
   /**
    * Enable/disable local video click handler
    */
@@ -122,8 +164,29 @@ export default class MediaController {
         this.updateVideoLayout();
       }
 
+      // A device switch replaces localStream - keep previewing the screen if sharing
       if (change.key === 'localStream' && change.value) {
-        this.attachLocalStream(change.value);
+        this.attachLocalStream(state.screenStream || change.value);
+      }
+
+      if (change.key === 'receiveOnly') {
+        if (change.value) this.attachLocalStream(null);
+        this.updateVideoLayout();
+      }
+
+      if (change.key === 'activeSpeaker') {
+        this.highlightSpeaker(change.value);
+      }
+
+      if (change.key === 'selectedDevices' && change.value.speaker !== change.oldValue?.speaker) {
+        this.setAudioOutput(change.value.speaker)
+          .catch(error => logger.warn('Failed to set audio output:', error));
+      }
+
+      // Preview shows what is being sent: the screen while sharing, else the camera
+      if (change.key === 'screenStream') {
+        this.attachLocalStream(change.value || state.localStream);
+        this.localVideoElement?.classList.toggle('screen', Boolean(change.value));
       }
 
       if (change.key === 'remoteStream' && change.value) {
@@ -6,7 +6,8 @@
  */
 
 import store from '../store/index.js';
-import { BUTTON_STATES, VIDEO_MODES } from '../config/constants.js';
+import { BUTTON_STATES, VIDEO_MODES, SUCCESS_MESSAGES } from '../config/constants.js';
+import { extractSignalPayload, isPassphraseError } from '../lib/signalEnvelope.js';
 import logger from '../lib/Logger.js';
 
 export default class UIController {
@@ -21,6 +22,7 @@ export default class UIController {
    */
   setModalManager(modalManager) {
     this.modalManager = modalManager;
+    this.connection.setPassphraseProvider((options) => modalManager.promptPassphrase(options));
   }
 
   /**
@@ -71,6 +73,13 @@ export default class UIController {
    */
   async handleShareOfferQRClick() {
     try {
+      // Animated QR can't be shared as an image - show it for scanning instead
+      if (this.connection.needsAnimatedQR() && this.modalManager) {
+        await this.modalManager.openQRDisplayModal();
+        await store.dispatch('waitForAnswer');
+        return SUCCESS_MESSAGES.QR_ANIMATED;
+      }
+
       const message = await this.connection.shareOfferQR();
       return message;
     } catch (error) {
@@ -107,26 +116,18 @@ export default class UIController {
    */
   async handleOfferSubmit(offerText) {
     try {
-      // Parse and validate offer
       const signaling = this.connection.signaling;
-      const offerData = signaling.parseOffer(offerText);
-
-      // Extract hash from URL or use text directly
-      let hashData;
-      if (offerText.includes('://')) {
-        // It's a full URL, extract hash
-        const url = new URL(offerText);
-        hashData = url.hash.slice(1);
-      } else if (offerText.startsWith('#')) {
-        // It's a hash with #
-        hashData = offerText.slice(1);
-      } else {
-        // It's just the base64 data
-        hashData = offerText;
+
+      // Validate first so bad input never lands in the URL hash.
+      // Protected offers are validated once the passphrase has been asked for.
+      try {
+        await signaling.parseOffer(offerText);
+      } catch (error) {
+        if (!isPassphraseError(error)) throw error;
       }
 
       // Set hash and process
-      signaling.setHashFromOffer(hashData);
+      signaling.setHashFromOffer(extractSignalPayload(offerText));
       await this.connection.handleOfferFromHash();
     } catch (error) {
       logger.error('Process offer failed:', error);
@@ -152,6 +153,11 @@ export default class UIController {
    */
   async handleShareAnswerQRClick() {
     try {
+      if (this.connection.needsAnimatedQR() && this.modalManager) {
+        await this.modalManager.openQRDisplayModal();
+        return SUCCESS_MESSAGES.QR_ANIMATED;
+      }
+
       const message = await this.connection.shareAnswerQR();
       return message;
     } catch (error) {
@@ -173,6 +179,13 @@ export default class UIController {
     }
   }
 
+  /**
+   * Handle QR display modal close
+   */
+  handleQRModalClose() {
+    this.connection.stopQRAnimation();
+  }
+
   /**
    * Handle QR code upload/paste
    */
@@ -187,6 +200,102 @@ export default class UIController {
     }
   }
 
+  /**
+   * Handle QR text from the live camera scanner
+   */
+  async handleScannedQR(text) {
+    const context = store.state.qrPasteContext;
+    try {
+      const message = await this.connection.processScannedQR(text, context);
+      return message;
+    } catch (error) {
+      logger.error('Scanned QR processing failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Handle lock button click (choose passphrase before creating an offer)
+   * @returns {Promise<boolean|null>} Protection enabled, or null if cancelled
+   */
+  async handlePassphraseClick() {
+    if (!this.modalManager) return null;
+
+    const passphrase = await this.modalManager.promptPassphrase({
+      title: 'Protect Offer',
+      hint: '🔒 Offer and answer will be encrypted. Tell the other person the passphrase another way. Leave empty to turn off.',
+    });
+    if (passphrase === null) return null;
+
+    this.connection.setPassphrase(passphrase);
+    return store.state.passphraseEnabled;
+  }
+
+  /**
+   * Handle settings button
+   */
+  handleSettingsClick() {
+    this.modalManager?.showSettingsModal();
+  }
+
+  /**
+   * Handle settings modal save
+   * @param {Object} settings - CONFIG key -> value
+   * @returns {string} Success message
+   * @throws {Error} If a value is invalid
+   */
+  handleSettingsSave(settings) {
+    try {
+      this.connection.saveSettings(settings);
+      return SUCCESS_MESSAGES.SETTINGS_SAVED;
+    } catch (error) {
+      logger.warn('Settings not saved:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Handle settings modal reset
+   * @returns {string} Success message
+   */
+  handleSettingsReset() {
+    this.connection.resetSettings();
+    return SUCCESS_MESSAGES.SETTINGS_RESET;
+  }
+
+  /**
+   * Handle settings modal export
+   * @returns {string} JSON file contents
+   */
+  handleSettingsExport() {
+    return this.connection.exportSettings();
+  }
+
+  /**
+   * Handle settings modal import
+   * @param {File} file - Exported settings file
+   * @returns {Promise<string>} Success message
+   * @throws {Error} If the file or a value is invalid
+   */
+  async handleSettingsImport(file) {
+    try {
+      this.connection.importSettings(await file.text());
+      return SUCCESS_MESSAGES.SETTINGS_IMPORTED;
+    } catch (error) {
+      logger.warn('Settings not imported:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Handle settings modal server test
+   * @param {RTCIceServer} server - Server to probe
+   * @returns {Promise<{types: string[], ok: boolean}>}
+   */
+  async handleIceServerProbe(server) {
+    return this.connection.probeIceServer(server);
+  }
+
   /**
    * Handle mic toggle
    */
@@ -194,6 +303,7 @@ export default class UIController {
     const newState = !store.state.micEnabled;
     this.mediaService.toggleAudio(newState);
     store.commit('setMicEnabled', newState);
+    this.connection.sendMediaState();
     return newState;
   }
 
@@ -204,9 +314,186 @@ export default class UIController {
     const newState = !store.state.cameraEnabled;
     this.mediaService.toggleVideo(newState);
     store.commit('setCameraEnabled', newState);
+    this.connection.sendMediaState();
     return newState;
   }
 
+  /**
+   * Handle audio-only toggle (before sharing an offer)
+   * @returns {Promise<string>} Success message
+   */
+  async handleAudioOnlyToggle() {
+    try {
+      return await this.connection.setAudioOnly(!store.state.audioOnly);
+    } catch (error) {
+      logger.error('Audio-only toggle failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Handle receive-only toggle (before sharing an offer)
+   * @returns {Promise<string>} Success message
+   */
+  async handleReceiveOnlyToggle() {
+    try {
+      return await this.connection.setReceiveOnly(!store.state.receiveOnly);
+    } catch (error) {
+      logger.error('Receive-only toggle failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Handle camera flip (front/rear)
+   */
+  async handleCameraFlip() {
+    try {
+      await this.connection.flipCamera();
+    } catch (error) {
+      logger.error('Camera flip failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Handle screen share toggle
+   * @returns {Promise<string|null>} Message to show
+   */
+  async handleScreenShareToggle() {
+    try {
+      if (store.state.screenStream) {
+        return await this.connection.stopScreenShare();
+      }
+      return await this.connection.startScreenShare();
+    } catch (error) {
+      logger.error('Screen share toggle failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Handle files dropped onto the video grid
+   * @param {File[]} files - Dropped files
+   */
+  handleFilesDropped(files) {
+    try {
+      this.connection.sendFiles(files);
+    } catch (error) {
+      logger.error('File send failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Handle file transfer cancel button
+   * @param {string} id - Transfer id
+   */
+  handleFileCancel(id) {
+    this.connection.cancelFileTransfer(id);
+  }
+
+  /**
+   * Handle file transfer dismiss button
+   * @param {string} id - Transfer id
+   */
+  handleFileDismiss(id) {
+    this.connection.dismissFileTransfer(id);
+  }
+
+  /**
+   * Handle chat form submit
+   * @param {string} text - Message text
+   * @returns {boolean} true if sent
+   */
+  handleChatSend(text) {
+    const trimmed = text.trim();
+    if (!trimmed) return false;
+
+    try {
+      this.connection.sendChatMessage(trimmed);
+      return true;
+    } catch (error) {
+      logger.error('Chat send failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Handle chat toggle button
+   */
+  handleChatToggle() {
+    store.commit('setChatOpen', !store.state.chatOpen);
+  }
+
+  /**
+   * Handle device picker opening - labels and lists may have changed
+   */
+  async handleDevicesOpen() {
+    try {
+      await this.connection.refreshDevices();
+    } catch (error) {
+      logger.warn('Device enumeration failed:', error);
+    }
+  }
+
+  /**
+   * Handle camera/microphone/speaker selection
+   * @param {string} kind - DEVICE_KINDS value
+   * @param {string} deviceId - Selected device
+   * @returns {Promise<string>} Success message
+   */
+  async handleDeviceSelect(kind, deviceId) {
+    try {
+      return await this.connection.switchDevice(kind, deviceId);
+    } catch (error) {
+      logger.error('Device switch failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Handle stats toggle button
+   */
+  handleStatsToggle() {
+    store.commit('setStatsVisible', !store.state.statsVisible);
+  }
+
+  /**
+   * Handle record button
+   * @returns {string} Success message
+   */
+  handleRecordStart() {
+    try {
+      return this.connection.startRecording();
+    } catch (error) {
+      logger.error('Recording failed to start:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Handle recording pause/resume button
+   */
+  handleRecordPause() {
+    this.connection.toggleRecordingPause();
+  }
+
+  /**
+   * Handle recording stop button
+   * @returns {Promise<string|null>} Success message
+   */
+  async handleRecordStop() {
+    return this.connection.stopRecording();
+  }
+
+  /**
+   * Handle finished recording download
+   */
+  handleRecordingDownloaded() {
+    this.connection.releaseRecordingFile();
+  }
+
   /**
    * Handle reload button (reset to initial)
    */
@@ -217,8 +504,8 @@ export default class UIController {
   /**
    * Handle close button (close connection and reload)
    */
-  handleCloseClick() {
-    this.connection.closeConnection();
+  async handleCloseClick() {
+    await this.connection.closeConnection();
   }
 
   /**
@@ -250,6 +537,15 @@ export default class UIController {
       // Initial state
       'share-offer-btn': state === BUTTON_STATES.INITIAL,
       'paste-offer-btn': state === BUTTON_STATES.INITIAL,
+      'lock-btn': state === BUTTON_STATES.INITIAL,
+      'settings-btn': state === BUTTON_STATES.INITIAL,
+      'audio-only-btn': state === BUTTON_STATES.INITIAL,
+      'receive-only-btn': state === BUTTON_STATES.INITIAL,
+
+      // Any state, while sending audio / video
+      'mic-toggle': !store.state.receiveOnly,
+      'camera-toggle': !store.state.audioOnly && !store.state.receiveOnly,
+      'camera-flip-btn': !store.state.audioOnly && !store.state.receiveOnly && store.state.devices.cameras.length > 1,
 
       // Initiator share state
       'share-offer-link-btn': state === BUTTON_STATES.INITIATOR_SHARE,
@@ -264,6 +560,16 @@ export default class UIController {
 
       // Connected state
       'close-btn': state === BUTTON_STATES.CONNECTED,
+      'screen-share-btn':
+        state === BUTTON_STATES.CONNECTED
+        && !store.state.audioOnly
+        && !store.state.receiveOnly
+        && store.state.peerCapabilities?.receivesVideo !== false
+        && this.mediaService.isScreenShareSupported(),
+      'chat-toggle': state === BUTTON_STATES.CONNECTED,
+      'stats-toggle': state === BUTTON_STATES.CONNECTED,
+      'quality-indicator': state === BUTTON_STATES.CONNECTED,
+      'record-btn': state === BUTTON_STATES.CONNECTED && this.connection.isRecordingSupported(),
     };
 
     return visibility[buttonId] || false;
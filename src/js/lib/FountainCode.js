@@ -0,0 +1,340 @@
+/**
+ * FountainCode - Rateless splitting of a payload into QR-sized frames
+ *
+ * @pattern Encoder/Decoder pair
+ * @purpose Animated QR codes where any sufficient subset of frames rebuilds the payload
+ * @note The first `count` frames are the plain fragments (systematic part); later
+ *       frames XOR a pseudo-random subset of fragments, chosen deterministically from
+ *       the frame number so the decoder can recompute it. Missed frames are
+ *       recovered by peeling mixed frames against known fragments.
+ *
+ * Frame text: CPQR:<seq>:<count>:<length>:<checksum>:<base64url fragment>
+ */
+
+import { bytesToBase64Url, base64UrlToBytes } from './helpers.js';
+
+const FRAME_TAG = 'CPQR';
+const MAX_FRAGMENTS = 1024;
+
+/**
+ * Encodes a payload into an endless sequence of frames
+ */
+export class FountainEncoder {
+  /**
+   * @param {string} payload - Text to transmit
+   * @param {number} fragmentLength - Max bytes per frame
+   */
+  constructor(payload, fragmentLength) {
+    const bytes = new TextEncoder().encode(payload);
+
+    this.length = bytes.length;
+    this.checksum = crc32(bytes);
+    this.count = Math.max(1, Math.ceil(bytes.length / fragmentLength));
+    this.fragmentLength = Math.ceil(bytes.length / this.count);
+    this.fragments = [];
+    this.seq = 0;
+
+    for (let i = 0; i < this.count; i++) {
+      const fragment = new Uint8Array(this.fragmentLength);
+      fragment.set(bytes.subarray(i * this.fragmentLength, (i + 1) * this.fragmentLength));
+      this.fragments.push(fragment);
+    }
+  }
+
+  /**
+   * Produce the next frame
+   * @returns {string} Frame text
+   */
+  nextFrame() {
+    this.seq += 1;
+
+    const data = new Uint8Array(this.fragmentLength);
+    for (const index of chooseFragments(this.seq, this.count, this.checksum)) {
+      xorInto(data, this.fragments[index]);
+    }
+
+    return [
+      FRAME_TAG,
+      this.seq,
+      this.count,
+      this.length,
+      this.checksum.toString(16),
+      bytesToBase64Url(data),
+    ].join(':');
+  }
+}
+
+/**
+ * Reassembles a payload from frames received in any order
+ */
+export class FountainDecoder {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Check if text looks like a fountain frame
+   * @param {string} text - Decoded QR text
+   * @returns {boolean}
+   */
+  static isFrame(text) {
+    return typeof text === 'string' && text.startsWith(`${FRAME_TAG}:`);
+  }
+
+  /**
+   * Forget all received frames
+   */
+  reset() {
+    this.count = 0;
+    this.length = 0;
+    this.checksum = null;
+    this.known = new Map();   // fragment index -> bytes
+    this.pending = [];        // { indices: Set<number>, data: Uint8Array }
+    this.seen = new Set();
+    this.result = null;
+  }
+
+  /**
+   * Feed one frame into the decoder
+   * @param {string} text - Frame text
+   * @returns {boolean} true if the frame was new and well-formed
+   */
+  receive(text) {
+    const frame = parseFrame(text);
+    if (!frame) return false;
+
+    // A frame from a different payload restarts collection
+    if (frame.checksum !== this.checksum || frame.count !== this.count || frame.length !== this.length) {
+      this.reset();
+      this.count = frame.count;
+      this.length = frame.length;
+      this.checksum = frame.checksum;
+    }
+
+    if (this.isComplete() || this.seen.has(frame.seq)) return false;
+    this.seen.add(frame.seq);
+
+    const indices = new Set(chooseFragments(frame.seq, frame.count, frame.checksum));
+    this.addPart(indices, frame.data);
+
+    if (this.known.size === this.count) {
+      this.assemble();
+    }
+
+    return true;
+  }
+
+  /**
+   * @returns {boolean} true once the payload has been rebuilt and verified
+   */
+  isComplete() {
+    return this.result !== null;
+  }
+
+  /**
+   * Fraction of fragments recovered so far
+   * @returns {number} 0..1
+   */
+  getProgress() {
+    return this.count ? this.known.size / this.count : 0;
+  }
+
+  /**
+   * @returns {number} Number of distinct frames accepted for the current payload
+   */
+  getReceivedCount() {
+    return this.seen.size;
+  }
+
+  /**
+   * @returns {string|null} Rebuilt payload
+   */
+  getResult() {
+    return this.result;
+  }
+
+  /**
+   * Reduce a part by known fragments and cascade newly solved ones
+   * @private
+   */
+  addPart(indices, data) {
+    const queue = [{ indices, data: data.slice() }];
+
+    while (queue.length > 0) {
+      const part = queue.shift();
+
+      for (const index of [...part.indices]) {
+        if (this.known.has(index)) {
+          xorInto(part.data, this.known.get(index));
+          part.indices.delete(index);
+        }
+      }
+
+      if (part.indices.size === 0) continue;
+
+      if (part.indices.size > 1) {
+        this.pending.push(part);
+        continue;
+      }
+
+      // Solved a single fragment - reduce everything still pending against it
+      const [index] = part.indices;
+      this.known.set(index, part.data);
+
+      const stillPending = [];
+      for (const mixed of this.pending) {
+        if (mixed.indices.has(index)) {
+          queue.push(mixed);
+        } else {
+          stillPending.push(mixed);
+        }
+      }
+      this.pending = stillPending;
+    }
+  }
+
+  /**
+   * Join fragments and verify checksum
+   * @private
+   */
+  assemble() {
+    const fragmentLength = this.known.get(0).length;
+    const bytes = new Uint8Array(fragmentLength * this.count);
+    for (let i = 0; i < this.count; i++) {
+      bytes.set(this.known.get(i), i * fragmentLength);
+    }
+
+    const payload = bytes.subarray(0, this.length);
+    if (crc32(payload) !== this.checksum) {
+      // Corrupted frame somewhere - start over rather than return garbage
+      this.reset();
+      return;
+    }
+
+    this.result = new TextDecoder().decode(payload);
+  }
+}
+
+/**
+ * Parse frame text
+ * @private
+ * @returns {Object|null}
+ */
+function parseFrame(text) {
+  if (!FountainDecoder.isFrame(text)) return null;
+
+  const [, seq, count, length, checksum, data] = text.split(':');
+  const frame = {
+    seq: Number(seq),
+    count: Number(count),
+    length: Number(length),
+    checksum: parseInt(checksum, 16),
+  };
+
+  if (
+    !Number.isInteger(frame.seq) || frame.seq < 1 ||
+    !Number.isInteger(frame.count) || frame.count < 1 || frame.count > MAX_FRAGMENTS ||
+    !Number.isInteger(frame.length) || Number.isNaN(frame.checksum) ||
+    !data
+  ) {
+    return null;
+  }
+
+  try {
+    frame.data = base64UrlToBytes(data);
+  } catch {
+    return null;
+  }
+
+  return frame;
+}
+
+/**
+ * Fragment indices mixed into a frame
+ * @private
+ * @param {number} seq - Frame number (1-based)
+ * @param {number} count - Number of fragments
+ * @param {number} checksum - Payload checksum (seeds the PRNG)
+ * @returns {number[]}
+ */
+function chooseFragments(seq, count, checksum) {
+  if (seq <= count) {
+    return [seq - 1];
+  }
+
+  const random = mulberry32((checksum ^ Math.imul(seq, 0x9e3779b1)) >>> 0);
+  const degree = chooseDegree(random, count);
+
+  // Partial Fisher-Yates shuffle for `degree` distinct indices
+  const indices = Array.from({ length: count }, (_, i) => i);
+  for (let i = 0; i < degree; i++) {
+    const j = i + Math.floor(random() * (count - i));
+    [indices[i], indices[j]] = [indices[j], indices[i]];
+  }
+  return indices.slice(0, degree);
+}
+
+/**
+ * Sample a degree with probability proportional to 1/d (ideal soliton-like)
+ * @private
+ */
+function chooseDegree(random, count) {
+  let total = 0;
+  for (let d = 1; d <= count; d++) total += 1 / d;
+
+  let target = random() * total;
+  for (let d = 1; d <= count; d++) {
+    target -= 1 / d;
+    if (target <= 0) return d;
+  }
+  return count;
+}
+
+/**
+ * Small seeded PRNG
+ * @private
+ */
+function mulberry32(seed) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * @private
+ */
+function xorInto(target, source) {
+  for (let i = 0; i < target.length; i++) {
+    target[i] ^= source[i];
+  }
+}
+
+let crcTable = null;
+
+/**
+ * CRC-32 (IEEE)
+ * @private
+ */
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
@@ -0,0 +1,148 @@
+/**
+ * MessageRouter - Typed dispatcher for JSON data channel messages
+ *
+ * @pattern Registry
+ * @purpose Validate incoming messages against a per-type schema before dispatch
+ * @note Schemas are flat field maps: { sdp: 'string', iceRestart: 'boolean?' }.
+ *       Types are 'string', 'number', 'boolean', 'object' and 'array'; a trailing
+ *       '?' makes the field optional. Fields not in the schema pass through.
+ *
+ * Anything that can't be dispatched is reported back to the peer:
+ *
+ *   { type: 'error', code, ref, detail }
+ *
+ * where `ref` is the offending message type (if any). Error frames are never
+ * answered, so two peers can't bounce errors back and forth.
+ */
+
+import EventEmitter from './EventEmitter.js';
+import { MESSAGE_ERRORS } from '../config/constants.js';
+import logger from './Logger.js';
+
+export const ERROR_FRAME_TYPE = 'error';
+
+const FIELD_CHECKS = {
+  string: value => typeof value === 'string',
+  number: value => Number.isFinite(value),
+  boolean: value => typeof value === 'boolean',
+  object: value => isPlainObject(value),
+  array: value => Array.isArray(value),
+};
+
+export default class MessageRouter extends EventEmitter {
+  /**
+   * @param {Function} send - (message) => void, used for error frames
+   */
+  constructor(send) {
+    super();
+    this.send = send;
+    this.routes = new Map(); // type -> { schema, handler }
+  }
+
+  /**
+   * Register a handler for a message type
+   * @param {string} type - Message type
+   * @param {Object} schema - Field map (see header)
+   * @param {Function} handler - (message) => void|Promise<void>
+   * @returns {Function} Unregister function
+   */
+  register(type, schema, handler) {
+    if (type === ERROR_FRAME_TYPE || this.routes.has(type)) {
+      throw new Error(`Message type "${type}" is already handled`);
+    }
+
+    Object.entries(schema).forEach(([field, spec]) => {
+      if (!FIELD_CHECKS[spec.replace(/\?$/, '')]) {
+        throw new Error(`Unknown schema type "${spec}" for ${type}.${field}`);
+      }
+    });
+
+    this.routes.set(type, { schema, handler });
+    return () => this.routes.delete(type);
+  }
+
+  /**
+   * Parse, validate and dispatch a raw message
+   * @param {string} raw - JSON text received on the channel
+   * @returns {Promise<void>} Resolves once the handler has finished
+   */
+  async dispatch(raw) {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch {
+      this.reject(MESSAGE_ERRORS.MALFORMED, null, 'Not valid JSON');
+      return;
+    }
+
+    if (!isPlainObject(message) || typeof message.type !== 'string') {
+      this.reject(MESSAGE_ERRORS.MALFORMED, null, 'Missing message type');
+      return;
+    }
+
+    if (message.type === ERROR_FRAME_TYPE) {
+      logger.warn(`Peer rejected our "${message.ref}" message: ${message.code}`, message.detail);
+      this.emit('peer-error', message);
+      return;
+    }
+
+    const route = this.routes.get(message.type);
+    if (!route) {
+      this.reject(MESSAGE_ERRORS.UNKNOWN_TYPE, message.type);
+      return;
+    }
+
+    const problem = validate(message, route.schema);
+    if (problem) {
+      this.reject(MESSAGE_ERRORS.INVALID, message.type, problem);
+      return;
+    }
+
+    logger.debug('DataChannel message received', { type: message.type });
+
+    try {
+      await route.handler(message);
+    } catch (error) {
+      logger.error(`Failed to handle "${message.type}" message:`, error);
+      this.reject(MESSAGE_ERRORS.HANDLER_FAILED, message.type);
+    }
+  }
+
+  /**
+   * Report an undeliverable message to the peer
+   * @private
+   */
+  reject(code, ref, detail) {
+    logger.warn(`Rejected data channel message: ${code}`, { ref, detail });
+    this.send({ type: ERROR_FRAME_TYPE, code, ref, detail });
+  }
+}
+
+/**
+ * Check a message against a schema
+ * @private
+ * @returns {string|null} Description of the first problem, or null if valid
+ */
+function validate(message, schema) {
+  for (const [field, spec] of Object.entries(schema)) {
+    const optional = spec.endsWith('?');
+    const kind = optional ? spec.slice(0, -1) : spec;
+    const value = message[field];
+
+    if (value === undefined || value === null) {
+      if (optional) continue;
+      return `Missing field "${field}"`;
+    }
+    if (!FIELD_CHECKS[kind](value)) {
+      return `Field "${field}" must be ${kind}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * @private
+ */
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
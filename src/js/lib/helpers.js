@@ -31,6 +31,73 @@ export function decodeFromBase64(encoded) {
   }
 }
 
+/**
+ * Encode bytes to URL-safe base64 (base64url, no padding)
+ * @param {Uint8Array} bytes - Binary data to encode
+ * @returns {string} Base64url encoded string
+ */
+export function bytesToBase64Url(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode base64url (or standard base64) to bytes
+ * @param {string} encoded - Base64url or base64 encoded string
+ * @returns {Uint8Array} Decoded binary data
+ */
+export function base64UrlToBytes(encoded) {
+  const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), '=');
+  const binary = atob(padded);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Check if CompressionStream/DecompressionStream are available
+ * @returns {boolean}
+ */
+export function isCompressionSupported() {
+  return (
+    typeof CompressionStream !== 'undefined' &&
+    typeof DecompressionStream !== 'undefined'
+  );
+}
+
+/**
+ * Compress bytes with raw deflate
+ * @param {Uint8Array} bytes - Data to compress
+ * @returns {Promise<Uint8Array>} Compressed data
+ */
+export function deflateBytes(bytes) {
+  return pipeBytes(bytes, new CompressionStream('deflate-raw'));
+}
+
+/**
+ * Decompress raw deflate bytes
+ * @param {Uint8Array} bytes - Compressed data
+ * @returns {Promise<Uint8Array>} Decompressed data
+ */
+export function inflateBytes(bytes) {
+  return pipeBytes(bytes, new DecompressionStream('deflate-raw'));
+}
+
+/**
+ * Run bytes through a transform stream
+ * @private
+ */
+async function pipeBytes(bytes, transform) {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
 /**
  * Generate random ID
  * @param {number} length - ID length (default: 9)
@@ -145,3 +212,48 @@ export function getOptimalQRErrorCorrection(data) {
   // For very large data, use low error correction to maximize capacity
   return 'L';
 }
+
+/**
+ * Format byte count for display
+ * @param {number} bytes - Byte count
+ * @returns {string} e.g. '1.5 MB'
+ */
+export function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = bytes;
+  let unit = 0;
+
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Format a bit rate for display
+ * @param {number} bitsPerSecond - Bit rate
+ * @returns {string} e.g. '1.2 Mbps'
+ */
+export function formatBitrate(bitsPerSecond) {
+  if (bitsPerSecond >= 1e6) return `${(bitsPerSecond / 1e6).toFixed(1)} Mbps`;
+  if (bitsPerSecond >= 1e3) return `${Math.round(bitsPerSecond / 1e3)} kbps`;
+  return `${Math.round(bitsPerSecond)} bps`;
+}
+
+/**
+ * Format a duration for display
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} e.g. '4:07' or '1:02:09'
+ */
+export function formatDuration(ms) {
+  const total = Math.floor(ms / 1000);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const seconds = String(total % 60).padStart(2, '0');
+
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+    : `${minutes}:${seconds}`;
+}
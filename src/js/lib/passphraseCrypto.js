@@ -0,0 +1,91 @@
+/**
+ * Passphrase Crypto - AES-GCM encryption with a PBKDF2-derived key
+ *
+ * @purpose Protect offers/answers so only someone with the passphrase can read or answer them
+ * @note WebCrypto only. GCM authenticates the ciphertext (and the envelope header
+ *       passed as additional data), so tampering and wrong passphrases both fail to decrypt.
+ *
+ * Layout: salt (16 bytes) | iv (12 bytes) | ciphertext + tag
+ */
+
+import { CONFIG } from '../config/webrtc.js';
+import { ERROR_MESSAGES } from '../config/constants.js';
+
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+
+/**
+ * Encrypt bytes with a passphrase
+ * @param {Uint8Array} bytes - Plaintext
+ * @param {string} passphrase - Shared passphrase
+ * @param {Uint8Array} [additionalData] - Authenticated but unencrypted data
+ * @returns {Promise<Uint8Array>} salt | iv | ciphertext
+ */
+export async function encryptWithPassphrase(bytes, passphrase, additionalData = new Uint8Array()) {
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_LENGTH));
+  const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+  const key = await deriveKey(passphrase, salt);
+
+  const ciphertext = new Uint8Array(
+    await crypto.subtle.encrypt({ name: 'AES-GCM', iv, additionalData }, key, bytes)
+  );
+
+  const out = new Uint8Array(SALT_LENGTH + IV_LENGTH + ciphertext.length);
+  out.set(salt, 0);
+  out.set(iv, SALT_LENGTH);
+  out.set(ciphertext, SALT_LENGTH + IV_LENGTH);
+  return out;
+}
+
+/**
+ * Decrypt bytes produced by encryptWithPassphrase
+ * @param {Uint8Array} bytes - salt | iv | ciphertext
+ * @param {string} passphrase - Shared passphrase
+ * @param {Uint8Array} [additionalData] - Same additional data used for encryption
+ * @returns {Promise<Uint8Array>} Plaintext
+ * @throws {Error} WRONG_PASSPHRASE if authentication fails
+ */
+export async function decryptWithPassphrase(bytes, passphrase, additionalData = new Uint8Array()) {
+  if (bytes.length <= SALT_LENGTH + IV_LENGTH) {
+    throw new Error(ERROR_MESSAGES.WRONG_PASSPHRASE);
+  }
+
+  const salt = bytes.subarray(0, SALT_LENGTH);
+  const iv = bytes.subarray(SALT_LENGTH, SALT_LENGTH + IV_LENGTH);
+  const key = await deriveKey(passphrase, salt);
+
+  try {
+    return new Uint8Array(
+      await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv, additionalData },
+        key,
+        bytes.subarray(SALT_LENGTH + IV_LENGTH)
+      )
+    );
+  } catch {
+    // OperationError - GCM can't tell a wrong key from a tampered payload
+    throw new Error(ERROR_MESSAGES.WRONG_PASSPHRASE);
+  }
+}
+
+/**
+ * Derive AES-GCM key from passphrase
+ * @private
+ */
+async function deriveKey(passphrase, salt) {
+  const material = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase.normalize('NFKC')),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: CONFIG.PASSPHRASE_KDF_ITERATIONS, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
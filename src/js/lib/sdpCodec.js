@@ -0,0 +1,461 @@
+/**
+ * SDP Codec - Compact binary encoding for signaling payloads
+ *
+ * @purpose Shrink offer/answer links and QR codes
+ * @note Only the data-channel SDP is compacted. Everything the browser can
+ *       regenerate (session boilerplate, SCTP attributes) is dropped; what is
+ *       left is ICE credentials, DTLS fingerprint, setup role and candidates.
+ *       Candidate priorities are recomputed from type, transport and order;
+ *       max-message-size is rebuilt as a fixed value (see MAX_MESSAGE_SIZE).
+ *
+ * Binary layout (all lengths are single bytes, ports are big-endian uint16):
+ *
+ *   header     1 byte   bit 0 type, bits 1-2 setup role, bits 3-4 hash function
+ *   mid        len + utf8
+ *   ufrag      len + utf8
+ *   pwd        len + utf8
+ *   digest     N bytes  (N implied by hash function)
+ *   count      1 byte   number of candidates
+ *   candidate  flags (bits 0-1 type, 2-3 address kind, 4 tcp, 5-6 tcptype),
+ *              address (4 | 16 | 16 | len + utf8), port
+ */
+
+const SIGNAL_TYPES = ['offer', 'answer'];
+const SETUP_ROLES = ['actpass', 'active', 'passive'];
+const HASH_FUNCTIONS = [
+  { name: 'sha-256', length: 32 },
+  { name: 'sha-1', length: 20 },
+  { name: 'sha-384', length: 48 },
+  { name: 'sha-512', length: 64 },
+];
+const CANDIDATE_TYPES = ['host', 'srflx', 'prflx', 'relay'];
+const TCP_TYPES = ['active', 'passive', 'so'];
+
+// RFC 8445 type preferences, used to rebuild candidate priorities. TCP
+// candidates rank below UDP ones of the same type, as browsers emit them
+// (RFC 6544); relay candidates are always UDP towards the peer.
+const TYPE_PREFERENCES = {
+  udp: { host: 126, prflx: 110, srflx: 100, relay: 0 },
+  tcp: { host: 90, prflx: 80, srflx: 65, relay: 0 },
+};
+
+// Not carried in the compact form: the largest message the peer may send us.
+// 256 KiB is what Chrome and Firefox announce; our largest messages are file
+// chunks (FILE_CHUNK_SIZE, 16 KiB), so the rebuilt value never limits us.
+const MAX_MESSAGE_SIZE = 262144;
+
+const ADDRESS_KINDS = {
+  IPV4: 0,
+  IPV6: 1,
+  MDNS: 2,
+  NAME: 3,
+};
+
+const MDNS_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\.local$/i;
+const IPV4_PATTERN = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
+const IPV6_GROUP_PATTERN = /^[0-9a-f]{1,4}$/i;
+
+/**
+ * Pack offer/answer into the compact binary layout
+ * @param {{type: string, sdp: string}} data - Offer or answer
+ * @returns {Uint8Array|null} Packed bytes, or null if the SDP can't be compacted
+ */
+export function packSignal({ type, sdp }) {
+  const typeIndex = SIGNAL_TYPES.indexOf(type);
+  const parsed = parseSdp(sdp);
+  if (typeIndex < 0 || !parsed) return null;
+
+  const writer = createWriter();
+  writer.byte(typeIndex | (parsed.setup << 1) | (parsed.hash << 3));
+  if (!writer.string(parsed.mid) || !writer.string(parsed.ufrag) || !writer.string(parsed.pwd)) {
+    return null;
+  }
+  writer.bytes(parsed.digest);
+
+  writer.byte(parsed.candidates.length);
+  for (const candidate of parsed.candidates) {
+    writer.byte(
+      candidate.type |
+      (candidate.addressKind << 2) |
+      (candidate.tcp ? 1 << 4 : 0) |
+      (candidate.tcpType << 5)
+    );
+    if (candidate.addressKind === ADDRESS_KINDS.NAME) {
+      if (!writer.string(candidate.address)) return null;
+    } else {
+      writer.bytes(candidate.addressBytes);
+    }
+    writer.uint16(candidate.port);
+  }
+
+  return writer.toBytes();
+}
+
+/**
+ * Unpack compact bytes and rebuild a valid SDP
+ * @param {Uint8Array} bytes - Packed bytes
+ * @returns {{type: string, sdp: string}} Offer or answer
+ * @throws {Error} If the bytes are truncated or malformed
+ */
+export function unpackSignal(bytes) {
+  const reader = createReader(bytes);
+
+  const header = reader.byte();
+  const type = lookup(SIGNAL_TYPES, header & 0x01, 'signal type');
+  const setup = lookup(SETUP_ROLES, (header >> 1) & 0x03, 'setup role');
+  const hash = lookup(HASH_FUNCTIONS, (header >> 3) & 0x03, 'hash function');
+
+  const mid = token(reader.string(), 'mid');
+  const ufrag = token(reader.string(), 'ICE ufrag');
+  const pwd = token(reader.string(), 'ICE password');
+  const digest = reader.bytes(hash.length);
+
+  const count = reader.byte();
+  const candidates = [];
+  for (let i = 0; i < count; i++) {
+    const flags = reader.byte();
+    const addressKind = (flags >> 2) & 0x03;
+    const candidateType = lookup(CANDIDATE_TYPES, flags & 0x03, 'candidate type');
+    const tcpType = lookup(TCP_TYPES, (flags >> 5) & 0x03, 'TCP type');
+
+    let address;
+    if (addressKind === ADDRESS_KINDS.IPV4) {
+      address = Array.from(reader.bytes(4)).join('.');
+    } else if (addressKind === ADDRESS_KINDS.IPV6) {
+      address = bytesToIpv6(reader.bytes(16));
+    } else if (addressKind === ADDRESS_KINDS.MDNS) {
+      address = bytesToMdns(reader.bytes(16));
+    } else {
+      address = token(reader.string(), 'candidate address');
+    }
+
+    candidates.push({
+      type: candidateType,
+      protocol: flags & (1 << 4) ? 'tcp' : 'udp',
+      tcpType,
+      address,
+      port: reader.uint16(),
+    });
+  }
+
+  return {
+    type,
+    sdp: buildSdp({ setup, mid, ufrag, pwd, hash: hash.name, digest, candidates }),
+  };
+}
+
+/**
+ * Extract the reconstructable subset of a data-channel SDP
+ * @private
+ * @param {string} sdp - Full SDP
+ * @returns {Object|null} Parsed fields or null if unsupported
+ */
+function parseSdp(sdp) {
+  if (typeof sdp !== 'string') return null;
+
+  const lines = sdp.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+
+  // Only a single data-channel m-section can be rebuilt faithfully
+  const mLines = lines.filter(line => line.startsWith('m='));
+  if (mLines.length !== 1 || !mLines[0].startsWith('m=application') || !mLines[0].includes('webrtc-datachannel')) {
+    return null;
+  }
+
+  const attribute = (name) => {
+    const line = lines.find(l => l.startsWith(`a=${name}:`));
+    return line ? line.slice(name.length + 3).trim() : null;
+  };
+
+  const ufrag = attribute('ice-ufrag');
+  const pwd = attribute('ice-pwd');
+  const fingerprint = attribute('fingerprint');
+  const setup = SETUP_ROLES.indexOf(attribute('setup'));
+  const mid = attribute('mid') ?? '0';
+
+  if (!ufrag || !pwd || !fingerprint || setup < 0) return null;
+
+  const [hashName, digestHex = ''] = fingerprint.split(/\s+/);
+  const hash = HASH_FUNCTIONS.findIndex(h => h.name === hashName.toLowerCase());
+  const digest = digestHex.split(':').map(hex => parseInt(hex, 16));
+  if (hash < 0 || digest.length !== HASH_FUNCTIONS[hash].length || digest.some(Number.isNaN)) {
+    return null;
+  }
+
+  const candidates = [];
+  for (const line of lines.filter(l => l.startsWith('a=candidate:'))) {
+    const candidate = parseCandidate(line.slice('a=candidate:'.length));
+    if (candidate) candidates.push(candidate);
+  }
+  if (candidates.length > 255) return null;
+
+  return { mid, ufrag, pwd, setup, hash, digest, candidates };
+}
+
+/**
+ * Parse a single candidate attribute value
+ * @private
+ * @param {string} value - Value after "a=candidate:"
+ * @returns {Object|null} Candidate fields, or null if it should be dropped
+ */
+function parseCandidate(value) {
+  const parts = value.split(/\s+/);
+  const [, component, protocol, , address, port, typ, type] = parts;
+
+  // rtcp-mux is always on for data channels; only RTP component matters
+  if (parts.length < 8 || component !== '1' || typ !== 'typ') return null;
+
+  const typeIndex = CANDIDATE_TYPES.indexOf(type);
+  const isTcp = protocol.toLowerCase() === 'tcp';
+  if (typeIndex < 0 || (!isTcp && protocol.toLowerCase() !== 'udp')) return null;
+
+  let tcpType = 0;
+  if (isTcp) {
+    const tcpTypeIndex = parts.indexOf('tcptype');
+    tcpType = tcpTypeIndex > -1 ? TCP_TYPES.indexOf(parts[tcpTypeIndex + 1]) : -1;
+    if (tcpType < 0) return null;
+  }
+
+  const { kind, bytes } = classifyAddress(address);
+
+  return {
+    type: typeIndex,
+    tcp: isTcp,
+    tcpType,
+    address,
+    addressKind: kind,
+    addressBytes: bytes,
+    port: Number(port) & 0xffff,
+  };
+}
+
+/**
+ * Determine how an address is stored
+ * @private
+ * @param {string} address - Candidate address
+ * @returns {{kind: number, bytes: Uint8Array|null}}
+ */
+function classifyAddress(address) {
+  const ipv4 = address.match(IPV4_PATTERN);
+  if (ipv4 && ipv4.slice(1).every(octet => Number(octet) <= 255)) {
+    return { kind: ADDRESS_KINDS.IPV4, bytes: Uint8Array.from(ipv4.slice(1), Number) };
+  }
+
+  if (MDNS_PATTERN.test(address)) {
+    const hex = address.slice(0, 36).replace(/-/g, '');
+    return { kind: ADDRESS_KINDS.MDNS, bytes: hexToBytes(hex) };
+  }
+
+  const ipv6 = ipv6ToBytes(address);
+  if (ipv6) {
+    return { kind: ADDRESS_KINDS.IPV6, bytes: ipv6 };
+  }
+
+  return { kind: ADDRESS_KINDS.NAME, bytes: null };
+}
+
+/**
+ * Convert a plain IPv6 address to 16 bytes
+ * @private
+ * @param {string} address - IPv6 address (no zone id, no embedded IPv4)
+ * @returns {Uint8Array|null}
+ */
+function ipv6ToBytes(address) {
+  if (!address.includes(':')) return null;
+
+  const halves = address.split('::');
+  if (halves.length > 2) return null;
+
+  const split = part => (part ? part.split(':') : []);
+  const head = split(halves[0]);
+  const tail = halves.length === 2 ? split(halves[1]) : [];
+  const missing = 8 - head.length - tail.length;
+
+  if (halves.length === 1 ? missing !== 0 : missing < 1) return null;
+
+  const groups = [...head, ...new Array(halves.length === 2 ? missing : 0).fill('0'), ...tail];
+  if (!groups.every(group => IPV6_GROUP_PATTERN.test(group))) return null;
+
+  const bytes = new Uint8Array(16);
+  groups.forEach((group, i) => {
+    const value = parseInt(group, 16);
+    bytes[i * 2] = value >> 8;
+    bytes[i * 2 + 1] = value & 0xff;
+  });
+  return bytes;
+}
+
+/**
+ * @private
+ */
+function bytesToIpv6(bytes) {
+  const groups = [];
+  for (let i = 0; i < 16; i += 2) {
+    groups.push(((bytes[i] << 8) | bytes[i + 1]).toString(16));
+  }
+  return groups.join(':');
+}
+
+/**
+ * @private
+ */
+function bytesToMdns(bytes) {
+  const hex = bytesToHex(bytes, '');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}.local`;
+}
+
+/**
+ * @private
+ */
+function hexToBytes(hex) {
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+  }
+  return bytes;
+}
+
+/**
+ * @private
+ */
+function bytesToHex(bytes, separator) {
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join(separator);
+}
+
+/**
+ * Rebuild a data-channel SDP from its compact fields
+ * @private
+ * @param {Object} fields - Unpacked fields
+ * @returns {string} SDP
+ */
+function buildSdp({ setup, mid, ufrag, pwd, hash, digest, candidates }) {
+  const sessionId = Math.floor(Math.random() * 1e15);
+  const fingerprint = `${hash} ${bytesToHex(digest, ':').toUpperCase()}`;
+
+  const lines = [
+    'v=0',
+    `o=- ${sessionId} 2 IN IP4 127.0.0.1`,
+    's=-',
+    't=0 0',
+    `a=group:BUNDLE ${mid}`,
+    'a=msid-semantic: WMS',
+    'm=application 9 UDP/DTLS/SCTP webrtc-datachannel',
+    'c=IN IP4 0.0.0.0',
+    ...candidates.map((candidate, index) => `a=${formatCandidate(candidate, index)}`),
+    `a=ice-ufrag:${ufrag}`,
+    `a=ice-pwd:${pwd}`,
+    'a=ice-options:trickle',
+    `a=fingerprint:${fingerprint}`,
+    `a=setup:${setup}`,
+    `a=mid:${mid}`,
+    'a=sctp-port:5000',
+    `a=max-message-size:${MAX_MESSAGE_SIZE}`,
+  ];
+
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Format a candidate line with a recomputed foundation and priority
+ * @private
+ */
+function formatCandidate({ type, protocol, tcpType, address, port }, index) {
+  // Keep original gathering order through the local preference
+  const localPreference = 65535 - index;
+  const priority = TYPE_PREFERENCES[protocol][type] * 2 ** 24 + localPreference * 2 ** 8 + 255;
+
+  let line = `candidate:${index + 1} 1 ${protocol} ${priority} ${address} ${port} typ ${type}`;
+
+  // Some ICE agents require related address on non-host candidates
+  if (type !== 'host') {
+    line += ' raddr 0.0.0.0 rport 0';
+  }
+  if (protocol === 'tcp') {
+    line += ` tcptype ${tcpType}`;
+  }
+
+  return `${line} generation 0`;
+}
+
+/**
+ * Table entry for a packed index
+ * @private
+ * @throws {Error} If the index is out of range
+ */
+function lookup(table, index, name) {
+  if (index >= table.length) {
+    throw new Error(`Invalid ${name}`);
+  }
+  return table[index];
+}
+
+/**
+ * Check a packed string before it is written into the SDP as-is
+ * @private
+ * @throws {Error} If it is empty or would split into several tokens or lines
+ */
+function token(value, name) {
+  if (!value || /\s/.test(value)) {
+    throw new Error(`Invalid ${name}`);
+  }
+  return value;
+}
+
+/**
+ * Growable byte buffer
+ * @private
+ */
+function createWriter() {
+  const out = [];
+  const encoder = new TextEncoder();
+
+  return {
+    byte(value) {
+      out.push(value & 0xff);
+    },
+    uint16(value) {
+      out.push((value >> 8) & 0xff, value & 0xff);
+    },
+    bytes(values) {
+      for (const value of values) out.push(value);
+    },
+    /** @returns {boolean} false if the string is too long for a length byte */
+    string(value) {
+      const encoded = encoder.encode(value);
+      if (encoded.length > 255) return false;
+      out.push(encoded.length);
+      this.bytes(encoded);
+      return true;
+    },
+    toBytes() {
+      return Uint8Array.from(out);
+    },
+  };
+}
+
+/**
+ * Sequential reader with bounds checks
+ * @private
+ */
+function createReader(bytes) {
+  let offset = 0;
+  const decoder = new TextDecoder();
+
+  const take = (length) => {
+    if (offset + length > bytes.length) {
+      throw new Error('Compact signal payload truncated');
+    }
+    const slice = bytes.subarray(offset, offset + length);
+    offset += length;
+    return slice;
+  };
+
+  return {
+    byte: () => take(1)[0],
+    uint16: () => {
+      const [high, low] = take(2);
+      return (high << 8) | low;
+    },
+    bytes: take,
+    string: () => decoder.decode(take(take(1)[0])),
+  };
+}
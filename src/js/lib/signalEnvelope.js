@@ -0,0 +1,331 @@
+/**
+ * Signal Envelope - Versioned container for offer/answer payloads
+ *
+ * @purpose Keep already-shared links decodable across format changes
+ * @note Single decoder registry used by signaling, QR validation and paste flows
+ *
+ * Envelope layout (base64url encoded):
+ *
+ *   magic    2 bytes  'C' 'P'
+ *   version  1 byte   format version (see SIGNAL_VERSION)
+ *   flags    1 byte   ENVELOPE_FLAGS bitmask
+ *   body     rest     version-specific payload
+ *
+ * Version 3 bodies start with session metadata, followed by the version 2 body:
+ *
+ *   session  8 bytes  random id shared by an offer and its answer
+ *   created  4 bytes  creation time, seconds since epoch (big-endian)
+ *
+ * Metadata is part of the body, so it is compressed and encrypted with it.
+ *
+ * ENCRYPTED bodies are AES-GCM ciphertext of the (possibly compressed) body,
+ * with the 4 header bytes as additional data so flags can't be stripped.
+ *
+ * Version 1 predates the envelope: plain base64 JSON `{type, sdp}` with no
+ * magic prefix. It still decodes, but SignalingService rejects v1/v2 offers
+ * as expired and v1/v2 answers as mismatched: neither carries a session.
+ */
+
+import {
+  decodeFromBase64,
+  bytesToBase64Url,
+  base64UrlToBytes,
+  isCompressionSupported,
+  deflateBytes,
+  inflateBytes,
+} from './helpers.js';
+import { packSignal, unpackSignal } from './sdpCodec.js';
+import { encryptWithPassphrase, decryptWithPassphrase } from './passphraseCrypto.js';
+import { ERROR_MESSAGES } from '../config/constants.js';
+
+const MAGIC = [0x43, 0x50]; // 'CP'
+const HEADER_LENGTH = MAGIC.length + 2;
+const SESSION_ID_LENGTH = 8;
+const META_LENGTH = SESSION_ID_LENGTH + 4;
+
+/**
+ * Version written by this build
+ */
+export const SIGNAL_VERSION = 3;
+
+/**
+ * Legacy version (plain base64 JSON, no envelope)
+ */
+export const LEGACY_SIGNAL_VERSION = 1;
+
+/**
+ * Envelope flags
+ */
+export const ENVELOPE_FLAGS = {
+  COMPACT_SDP: 1 << 0, // Body is compact SDP binary instead of UTF-8 JSON
+  COMPRESSED: 1 << 1,  // Body is deflate-raw compressed
+  ENCRYPTED: 1 << 2,   // Body is encrypted with a shared passphrase
+};
+
+const KNOWN_FLAGS = Object.values(ENVELOPE_FLAGS).reduce((mask, flag) => mask | flag, 0);
+
+// version -> decode(body: Uint8Array|string, flags: number) => {type, sdp, ...} (may be async)
+const decoders = new Map();
+
+/**
+ * Register a decoder for an envelope version
+ * @param {number} version - Format version
+ * @param {Function} decoder - (body, flags) => signal data
+ */
+export function registerDecoder(version, decoder) {
+  decoders.set(version, decoder);
+}
+
+/**
+ * Create a random session id for a new offer
+ * @returns {string} Hex session id
+ */
+export function createSessionId() {
+  return bytesToHex(crypto.getRandomValues(new Uint8Array(SESSION_ID_LENGTH)));
+}
+
+/**
+ * Encode offer/answer into a current-version envelope
+ * @param {{type: string, sdp: string, sessionId: string, createdAt?: number}} data - Offer or answer
+ * @param {Object} [options]
+ * @param {string} [options.passphrase] - Encrypt the body with this passphrase
+ * @returns {Promise<string>} Base64url envelope
+ */
+export async function encodeSignal(data, { passphrase = null } = {}) {
+  const { type, sdp, sessionId, createdAt = Date.now() } = data;
+  const compact = packSignal({ type, sdp });
+  let flags = compact ? ENVELOPE_FLAGS.COMPACT_SDP : 0;
+  let body = concatBytes(
+    encodeMeta(sessionId, createdAt),
+    compact ?? new TextEncoder().encode(JSON.stringify({ type, sdp }))
+  );
+
+  // Compact bodies are mostly random bytes; only keep deflate when it pays off
+  if (isCompressionSupported()) {
+    const deflated = await deflateBytes(body);
+    if (deflated.length < body.length) {
+      flags |= ENVELOPE_FLAGS.COMPRESSED;
+      body = deflated;
+    }
+  }
+
+  // Ciphertext doesn't compress, so encrypt last
+  if (passphrase) {
+    flags |= ENVELOPE_FLAGS.ENCRYPTED;
+    body = await encryptWithPassphrase(body, passphrase, encodeHeader(SIGNAL_VERSION, flags));
+  }
+
+  return encodeEnvelope(SIGNAL_VERSION, flags, body);
+}
+
+/**
+ * Wrap a body with magic, version and flags
+ * @param {number} version - Format version
+ * @param {number} flags - ENVELOPE_FLAGS bitmask
+ * @param {Uint8Array} body - Payload
+ * @returns {string} Base64url envelope
+ */
+export function encodeEnvelope(version, flags, body) {
+  const bytes = new Uint8Array(HEADER_LENGTH + body.length);
+  bytes.set(encodeHeader(version, flags), 0);
+  bytes.set(body, HEADER_LENGTH);
+  return bytesToBase64Url(bytes);
+}
+
+/**
+ * Decode any supported signal payload
+ * @param {string} encoded - Envelope or legacy payload (no URL, no '#')
+ * @param {Object} [options]
+ * @param {string} [options.passphrase] - Passphrase for encrypted envelopes
+ * @returns {Promise<{version: number, flags: number, data: Object}>} Decoded envelope
+ * @throws {Error} SIGNAL_VERSION_TOO_NEW for future versions or flags,
+ *                 COMPRESSION_UNSUPPORTED if the browser can't inflate,
+ *                 PASSPHRASE_REQUIRED / WRONG_PASSPHRASE for encrypted envelopes,
+ *                 otherwise decoding errors
+ */
+export async function decodeSignal(encoded, { passphrase = null } = {}) {
+  const { version, flags, header, body } = parseEnvelope(encoded);
+
+  if (version > SIGNAL_VERSION || (flags & ~KNOWN_FLAGS)) {
+    throw new Error(ERROR_MESSAGES.SIGNAL_VERSION_TOO_NEW);
+  }
+
+  const decoder = decoders.get(version);
+  if (!decoder) {
+    throw new Error(`Unsupported signal version: ${version}`);
+  }
+
+  let payload = body;
+  if (flags & ENVELOPE_FLAGS.ENCRYPTED) {
+    if (!passphrase) {
+      throw new Error(ERROR_MESSAGES.PASSPHRASE_REQUIRED);
+    }
+    payload = await decryptWithPassphrase(payload, passphrase, header);
+  }
+
+  if (flags & ENVELOPE_FLAGS.COMPRESSED) {
+    if (!isCompressionSupported()) {
+      throw new Error(ERROR_MESSAGES.COMPRESSION_UNSUPPORTED);
+    }
+    payload = await inflateBytes(payload);
+  }
+
+  return { version, flags, data: await decoder(payload, flags) };
+}
+
+/**
+ * Check if an error means "well-formed, but this build can't read it"
+ * (as opposed to a corrupted or mistyped code)
+ * @param {Error} error - Error thrown by decodeSignal
+ * @returns {boolean}
+ */
+export function isUnsupportedSignalError(error) {
+  return (
+    error?.message === ERROR_MESSAGES.SIGNAL_VERSION_TOO_NEW ||
+    error?.message === ERROR_MESSAGES.COMPRESSION_UNSUPPORTED
+  );
+}
+
+/**
+ * Check if an error means the code is encrypted and the passphrase is missing or wrong
+ * @param {Error} error - Error thrown by decodeSignal
+ * @returns {boolean}
+ */
+export function isPassphraseError(error) {
+  return (
+    error?.message === ERROR_MESSAGES.PASSPHRASE_REQUIRED ||
+    error?.message === ERROR_MESSAGES.WRONG_PASSPHRASE
+  );
+}
+
+/**
+ * @private
+ * @returns {Uint8Array} session id | created (seconds)
+ */
+function encodeMeta(sessionId, createdAt) {
+  const meta = new Uint8Array(META_LENGTH);
+  meta.set(hexToBytes(sessionId), 0);
+  new DataView(meta.buffer).setUint32(SESSION_ID_LENGTH, Math.floor(createdAt / 1000));
+  return meta;
+}
+
+/**
+ * @private
+ * @returns {{sessionId: string, createdAt: number}} createdAt in milliseconds
+ */
+function decodeMeta(body) {
+  if (body.length < META_LENGTH) {
+    throw new Error('Signal body too short for session metadata');
+  }
+
+  const view = new DataView(body.buffer, body.byteOffset, META_LENGTH);
+  return {
+    sessionId: bytesToHex(body.subarray(0, SESSION_ID_LENGTH)),
+    createdAt: view.getUint32(SESSION_ID_LENGTH) * 1000,
+  };
+}
+
+/**
+ * @private
+ */
+function bytesToHex(bytes) {
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * @private
+ * @returns {Uint8Array} SESSION_ID_LENGTH bytes, zero-padded
+ */
+function hexToBytes(hex) {
+  const bytes = new Uint8Array(SESSION_ID_LENGTH);
+  for (let i = 0; i < bytes.length && i * 2 < hex.length; i++) {
+    bytes[i] = parseInt(hex.slice(i * 2, i * 2 + 2), 16);
+  }
+  return bytes;
+}
+
+/**
+ * @private
+ */
+function concatBytes(a, b) {
+  const out = new Uint8Array(a.length + b.length);
+  out.set(a, 0);
+  out.set(b, a.length);
+  return out;
+}
+
+/**
+ * @private
+ * @returns {Uint8Array} magic | version | flags
+ */
+function encodeHeader(version, flags) {
+  return new Uint8Array([...MAGIC, version, flags]);
+}
+
+/**
+ * Split a payload into version, flags and body
+ * @private
+ * @param {string} encoded - Encoded payload
+ * @returns {{version: number, flags: number, header: Uint8Array|null, body: Uint8Array|string}}
+ */
+function parseEnvelope(encoded) {
+  let bytes = null;
+  try {
+    bytes = base64UrlToBytes(encoded);
+  } catch {
+    // Not base64 at all - let the legacy decoder report it
+  }
+
+  const hasMagic =
+    bytes &&
+    bytes.length >= HEADER_LENGTH &&
+    MAGIC.every((byte, i) => bytes[i] === byte);
+
+  if (!hasMagic) {
+    return { version: LEGACY_SIGNAL_VERSION, flags: 0, header: null, body: encoded };
+  }
+
+  return {
+    version: bytes[MAGIC.length],
+    flags: bytes[MAGIC.length + 1],
+    header: bytes.subarray(0, HEADER_LENGTH),
+    body: bytes.subarray(HEADER_LENGTH),
+  };
+}
+
+/**
+ * Strip URL and '#' from pasted/scanned input
+ * @param {string} input - Full offer URL, '#hash' or raw payload
+ * @returns {string|null} Raw payload or null if a URL has no hash
+ */
+export function extractSignalPayload(input) {
+  const text = input.trim();
+
+  if (text.includes('://')) {
+    try {
+      return new URL(text).hash.slice(1) || null;
+    } catch {
+      return null;
+    }
+  }
+
+  return text.startsWith('#') ? text.slice(1) : text;
+}
+
+// v1: plain base64 JSON
+registerDecoder(LEGACY_SIGNAL_VERSION, (body) => decodeFromBase64(body));
+
+// v2: envelope around compact SDP or UTF-8 JSON
+function decodeBodyV2(body, flags) {
+  if (flags & ENVELOPE_FLAGS.COMPACT_SDP) {
+    return unpackSignal(body);
+  }
+  return JSON.parse(new TextDecoder().decode(body));
+}
+registerDecoder(2, decodeBodyV2);
+
+// v3: session metadata + v2 body
+registerDecoder(3, (body, flags) => ({
+  ...decodeBodyV2(body.subarray(META_LENGTH), flags),
+  ...decodeMeta(body),
+}));
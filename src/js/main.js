@@ -15,6 +15,12 @@ import ButtonManager from './components/ButtonManager.js';
 import ModalManager from './components/ModalManager.js';
 import VideoGrid from './components/VideoGrid.js';
 import LoadingOverlay from './components/LoadingOverlay.js';
+import FileTransferPanel from './components/FileTransferPanel.js';
+import ChatPanel from './components/ChatPanel.js';
+import StatsOverlay from './components/StatsOverlay.js';
+import QualityIndicator from './components/QualityIndicator.js';
+import DevicePicker from './components/DevicePicker.js';
+import RecordingControls from './components/RecordingControls.js';
 import store from './store/index.js';
 import logger from './lib/Logger.js';
 
@@ -32,11 +38,17 @@ class App {
 
     // Initialize components (presentation layer)
     this.toast = new Toast(document.getElementById('toast'));
-    this.controls = new Controls(this.uiController);
+    this.controls = new Controls(this.uiController, this.toast);
     this.buttonManager = new ButtonManager(this.uiController, this.toast);
     this.modalManager = new ModalManager(this.uiController, this.toast);
-    this.videoGrid = new VideoGrid(this.mediaController);
+    this.videoGrid = new VideoGrid(this.mediaController, this.uiController, this.toast);
     this.loadingOverlay = new LoadingOverlay();
+    this.fileTransferPanel = new FileTransferPanel(this.uiController, this.toast);
+    this.chatPanel = new ChatPanel(this.uiController, this.toast);
+    this.statsOverlay = new StatsOverlay(this.uiController);
+    this.qualityIndicator = new QualityIndicator(this.uiController);
+    this.devicePicker = new DevicePicker(this.uiController, this.toast, this.mediaController);
+    this.recordingControls = new RecordingControls(this.uiController, this.toast);
 
     // Wire modal manager to UI controller (for opening modals)
     this.uiController.setModalManager(this.modalManager);
@@ -65,7 +77,8 @@ class App {
       logger.info('Starting application...');
 
       // Initialize connection (get camera, check for offer in URL)
-      await this.connectionController.init();
+      const notice = await this.connectionController.init();
+      if (notice) this.toast.show(notice);
 
       logger.info('🎉 Application ready!');
     } catch (error) {
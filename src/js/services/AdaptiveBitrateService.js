@@ -0,0 +1,156 @@
+/**
+ * AdaptiveBitrateService - Connection quality rating and video bitrate adaptation
+ *
+ * @pattern Service Layer
+ * @purpose Rates our sending path from each StatsService sample and steps
+ *          outgoing video down/up a ladder
+ * @note The VIDEO_* settings are the top step. Stepping down is quick
+ *       (ABR_DOWN_SAMPLES poor samples), stepping up is slow (ABR_UP_SAMPLES
+ *       good samples) so a flaky link doesn't oscillate.
+ */
+
+import EventEmitter from '../lib/EventEmitter.js';
+import { CONFIG, getSetting } from '../config/webrtc.js';
+import { QUALITY_LEVELS } from '../config/constants.js';
+import logger from '../lib/Logger.js';
+
+// Fraction of VIDEO_MAX_BITRATE and resolution divisor per step, best first
+const LADDER = [
+  { bitrate: 1, scaleResolutionDownBy: 1 },
+  { bitrate: 0.6, scaleResolutionDownBy: 1 },
+  { bitrate: 0.35, scaleResolutionDownBy: 1.5 },
+  { bitrate: 0.15, scaleResolutionDownBy: 2 },
+];
+
+export default class AdaptiveBitrateService extends EventEmitter {
+  constructor(webrtcService, statsService) {
+    super();
+    this.webrtc = webrtcService;
+    this.running = false;
+    this.step = 0;
+    this.poorSamples = 0;
+    this.goodSamples = 0;
+    this.quality = null;
+
+    statsService.on('sample', (sample) => {
+      if (this.running) this.handleSample(sample);
+    });
+  }
+
+  /**
+   * Start adapting from the top step (no-op if already running)
+   */
+  start() {
+    if (this.running) return;
+
+    this.running = true;
+    this.step = 0;
+    this.poorSamples = 0;
+    this.goodSamples = 0;
+    this.applyStep();
+  }
+
+  /**
+   * Stop adapting
+   */
+  stop() {
+    this.running = false;
+    this.quality = null;
+  }
+
+  /**
+   * @private
+   */
+  handleSample(sample) {
+    const { rtt, loss } = readMediaHealth(sample);
+    const quality = rateQuality(rtt, loss);
+
+    if (quality !== this.quality) {
+      this.quality = quality;
+      this.emit('quality', { level: quality, rtt, loss });
+    }
+
+    if (quality === QUALITY_LEVELS.POOR) {
+      this.goodSamples = 0;
+      this.poorSamples += 1;
+      if (this.poorSamples >= CONFIG.ABR_DOWN_SAMPLES && this.step < LADDER.length - 1) {
+        this.poorSamples = 0;
+        this.step += 1;
+        logger.info(`📉 Lowering video quality (step ${this.step})`, { rtt, loss });
+        this.applyStep();
+      }
+    } else if (quality === QUALITY_LEVELS.GOOD) {
+      this.poorSamples = 0;
+      this.goodSamples += 1;
+      if (this.goodSamples >= CONFIG.ABR_UP_SAMPLES && this.step > 0) {
+        this.goodSamples = 0;
+        this.step -= 1;
+        logger.info(`📈 Raising video quality (step ${this.step})`, { rtt, loss });
+        this.applyStep();
+      }
+    } else {
+      // Fair (or no data): hold the current step
+      this.poorSamples = 0;
+      this.goodSamples = 0;
+    }
+  }
+
+  /**
+   * Push the current step to the video sender
+   * @private
+   */
+  async applyStep() {
+    const { bitrate, scaleResolutionDownBy } = LADDER[this.step];
+
+    try {
+      await this.webrtc.setVideoEncoding({
+        maxBitrate: Math.round(CONFIG.VIDEO_MAX_BITRATE * bitrate),
+        maxFramerate: getSetting('VIDEO_FRAMERATE'),
+        scaleResolutionDownBy,
+      });
+    } catch (error) {
+      logger.warn('Failed to update video encoding:', error);
+    }
+  }
+}
+
+/**
+ * RTT and packet loss of our outgoing video, as the peer reports it back
+ * (remote-inbound-rtp). Inbound loss describes the peer's sending path, which
+ * our bitrate can't fix.
+ * @private
+ * @returns {{rtt: number|null, loss: number|null}}
+ */
+function readMediaHealth({ connections, tracks }) {
+  const label = connections.media !== undefined ? 'media' : 'peer';
+  const sentVideo = tracks.filter(track =>
+    track.connection === label && track.direction === 'outbound' && track.kind === 'video'
+  );
+
+  const rtts = sentVideo.map(track => track.rtt).filter(value => value !== null);
+  const losses = sentVideo.map(track => track.packetLoss).filter(value => value !== null);
+
+  // No RTCP receiver report yet - the candidate pair RTT is the same path
+  const pairRtt = connections[label]?.rtt ?? null;
+
+  return {
+    rtt: rtts.length ? Math.max(...rtts) : pairRtt,
+    loss: losses.length ? Math.max(...losses) : null,
+  };
+}
+
+/**
+ * @private
+ * @returns {string|null} QUALITY_LEVELS value, null without data
+ */
+function rateQuality(rtt, loss) {
+  if (rtt === null && loss === null) return null;
+
+  if (loss > CONFIG.QUALITY_LOSS_POOR || rtt > CONFIG.QUALITY_RTT_POOR) {
+    return QUALITY_LEVELS.POOR;
+  }
+  if (loss > CONFIG.QUALITY_LOSS_FAIR || rtt > CONFIG.QUALITY_RTT_FAIR) {
+    return QUALITY_LEVELS.FAIR;
+  }
+  return QUALITY_LEVELS.GOOD;
+}
@@ -0,0 +1,154 @@
+/**
+ * AudioAnalysisService - Audio levels and active speaker detection
+ *
+ * @pattern Service Layer
+ * @purpose Measures local and remote audio with WebAudio AnalyserNodes
+ * @note Each stream is analysed through a clone of its audio track. The clone
+ *       stays enabled while the mic is muted, so talking while muted can be
+ *       detected; a disabled original track still counts as silent for
+ *       active speaker detection.
+ *
+ * Emits 'levels' ({ local, remote }, 0-1, every AUDIO_LEVEL_INTERVAL) and
+ * 'speaker' ('local' | 'remote' | null).
+ */
+
+import EventEmitter from '../lib/EventEmitter.js';
+import { CONFIG } from '../config/webrtc.js';
+import logger from '../lib/Logger.js';
+
+const SLOTS = ['local', 'remote'];
+const SILENCE_DB = -60; // Level 0; 0 dBFS is level 1
+
+export default class AudioAnalysisService extends EventEmitter {
+  constructor() {
+    super();
+    this.context = null;
+    this.inputs = new Map(); // slot -> { track, clone, source, analyser, samples }
+    this.timer = null;
+    this.speaker = null;
+    this.lastSpeech = 0;
+
+    // Autoplay policy keeps an AudioContext suspended until the user interacts
+    document.addEventListener('pointerdown', () => {
+      if (this.context?.state === 'suspended') this.context.resume();
+    });
+  }
+
+  /**
+   * Check if the browser has WebAudio
+   * @returns {boolean}
+   */
+  isSupported() {
+    return typeof AudioContext !== 'undefined';
+  }
+
+  /**
+   * Analyse a stream's audio (replaces the previous stream of the slot)
+   * @param {string} slot - 'local' or 'remote'
+   * @param {MediaStream|null} stream - null stops analysing the slot
+   */
+  setStream(slot, stream) {
+    this.removeInput(slot);
+
+    const [track] = stream?.getAudioTracks() ?? [];
+    if (!track || !this.isSupported()) return;
+
+    this.context ??= new AudioContext();
+
+    const clone = track.clone();
+    clone.enabled = true;
+    const source = this.context.createMediaStreamSource(new MediaStream([clone]));
+    const analyser = this.context.createAnalyser();
+    analyser.fftSize = 512;
+    source.connect(analyser);
+
+    this.inputs.set(slot, { track, clone, source, analyser, samples: new Float32Array(analyser.fftSize) });
+    logger.debug(`Analysing ${slot} audio`);
+  }
+
+  /**
+   * Start emitting levels (no-op if already running)
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.poll(), CONFIG.AUDIO_LEVEL_INTERVAL);
+  }
+
+  /**
+   * Stop emitting levels
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.setSpeaker(null);
+  }
+
+  /**
+   * @private
+   */
+  poll() {
+    const levels = Object.fromEntries(SLOTS.map(slot => [slot, this.readLevel(slot)]));
+    this.emit('levels', levels);
+    this.updateSpeaker(levels);
+  }
+
+  /**
+   * RMS level of the latest audio window, mapped from dB to 0-1
+   * @private
+   * @returns {number}
+   */
+  readLevel(slot) {
+    const input = this.inputs.get(slot);
+    if (!input) return 0;
+
+    input.analyser.getFloatTimeDomainData(input.samples);
+    const sum = input.samples.reduce((total, sample) => total + sample * sample, 0);
+    const rms = Math.sqrt(sum / input.samples.length);
+    if (rms === 0) return 0;
+
+    const db = 20 * Math.log10(rms);
+    return Math.min(1, Math.max(0, (db - SILENCE_DB) / -SILENCE_DB));
+  }
+
+  /**
+   * Keep the current speaker while they talk; otherwise take the loudest
+   * slot above the threshold; drop to null after AUDIO_SPEAKER_HOLD of silence
+   * @private
+   */
+  updateSpeaker(levels) {
+    const speaking = SLOTS.filter(slot =>
+      levels[slot] >= CONFIG.AUDIO_SPEAKING_LEVEL && this.inputs.get(slot)?.track.enabled
+    );
+    const now = Date.now();
+
+    if (speaking.length) {
+      this.lastSpeech = now;
+      if (!speaking.includes(this.speaker)) {
+        this.setSpeaker(speaking.reduce((a, b) => (levels[b] > levels[a] ? b : a)));
+      }
+    } else if (this.speaker && now - this.lastSpeech > CONFIG.AUDIO_SPEAKER_HOLD) {
+      this.setSpeaker(null);
+    }
+  }
+
+  /**
+   * @private
+   */
+  setSpeaker(speaker) {
+    if (speaker === this.speaker) return;
+    this.speaker = speaker;
+    this.emit('speaker', speaker);
+  }
+
+  /**
+   * @private
+   */
+  removeInput(slot) {
+    const input = this.inputs.get(slot);
+    if (!input) return;
+
+    input.source.disconnect();
+    input.clone.stop();
+    this.inputs.delete(slot);
+  }
+}
@@ -0,0 +1,65 @@
+/**
+ * ChatService - Text chat over the signaling data channel
+ *
+ * @pattern Service Layer
+ * @purpose Sends chat messages and delivery acknowledgements
+ * @note Messages ride the 'media' data channel next to renegotiation traffic:
+ *       { type: 'chat-message', id, text, sentAt } -> { type: 'chat-ack', id }
+ */
+
+import EventEmitter from '../lib/EventEmitter.js';
+import { CONFIG } from '../config/webrtc.js';
+import { ERROR_MESSAGES } from '../config/constants.js';
+import { generateId } from '../lib/helpers.js';
+import logger from '../lib/Logger.js';
+
+export default class ChatService extends EventEmitter {
+  constructor(webrtcService) {
+    super();
+    this.webrtc = webrtcService;
+
+    this.webrtc.registerMessageHandler(
+      'chat-message',
+      { id: 'string', text: 'string', sentAt: 'number?' },
+      data => this.handleMessage(data)
+    );
+    this.webrtc.registerMessageHandler('chat-ack', { id: 'string' }, ({ id }) => {
+      logger.debug('Chat message delivered', { id });
+      this.emit('delivered', id);
+    });
+  }
+
+  /**
+   * Send a chat message
+   * @param {string} text - Message text
+   * @returns {{id: string, text: string, sentAt: number}} Sent message
+   * @throws {Error} CHAT_NOT_CONNECTED if the data channel is closed
+   */
+  send(text) {
+    const message = {
+      id: generateId(),
+      text: text.slice(0, CONFIG.CHAT_MAX_LENGTH),
+      sentAt: Date.now(),
+    };
+
+    if (!this.webrtc.sendMessage({ type: 'chat-message', ...message })) {
+      throw new Error(ERROR_MESSAGES.CHAT_NOT_CONNECTED);
+    }
+
+    logger.debug('Chat message sent', { id: message.id });
+    return message;
+  }
+
+  /**
+   * Acknowledge and emit an incoming message (already schema-checked)
+   * @private
+   */
+  handleMessage({ id, text, sentAt }) {
+    this.webrtc.sendMessage({ type: 'chat-ack', id });
+    this.emit('message', {
+      id,
+      text: text.slice(0, CONFIG.CHAT_MAX_LENGTH),
+      sentAt: sentAt ?? Date.now(),
+    });
+  }
+}
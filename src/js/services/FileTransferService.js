@@ -0,0 +1,354 @@
+/**
+ * FileTransferService - Peer-to-peer file transfer over a dedicated data channel
+ *
+ * @pattern Service Layer
+ * @purpose Chunked, backpressured file sending with integrity check and cancellation
+ * @note Channel is ordered, so binary chunks always belong to the transfer most
+ *       recently announced by 'file-start'. One outgoing transfer at a time;
+ *       further files wait in a queue.
+ *
+ * Protocol (JSON control frames + binary chunks):
+ *   { type: 'file-start', id, name, size, mime }
+ *   <ArrayBuffer chunks>
+ *   { type: 'file-end', id, sha256 }
+ *   { type: 'file-cancel', id }          (either side, any time)
+ *
+ * Control frames are schema-checked by a MessageRouter, which answers bad
+ * frames with an error frame. Both sides hash chunks as they pass, so neither
+ * needs a second full copy of the file for the integrity check. Received
+ * files are always application/octet-stream: the peer's mime is not trusted,
+ * and neither is its stream length - a transfer is cancelled as soon as it
+ * passes the announced size.
+ */
+
+import EventEmitter from '../lib/EventEmitter.js';
+import MessageRouter from '../lib/MessageRouter.js';
+import { CONFIG } from '../config/webrtc.js';
+import { ERROR_MESSAGES } from '../config/constants.js';
+import { generateId } from '../lib/helpers.js';
+import Sha256 from '../lib/Sha256.js';
+import logger from '../lib/Logger.js';
+
+export default class FileTransferService extends EventEmitter {
+  constructor() {
+    super();
+    this.channel = null;
+    this.queue = [];          // Outgoing { id, file } waiting for the channel
+    this.sending = null;      // Outgoing transfer in progress
+    this.receiving = null;    // Incoming transfer in progress
+    this.cancelled = new Map(); // Outgoing id -> cancelled by peer?
+
+    this.router = new MessageRouter(message => this.sendControl(message));
+    this.router.register('file-start', { id: 'string', name: 'string', size: 'number', mime: 'string?' },
+      message => this.handleStart(message));
+    this.router.register('file-end', { id: 'string', sha256: 'string' },
+      message => this.handleEnd(message));
+    this.router.register('file-cancel', { id: 'string' },
+      message => this.handleRemoteCancel(message));
+  }
+
+  /**
+   * Use a data channel for transfers
+   * @param {RTCDataChannel} channel - Open, ordered data channel
+   */
+  attach(channel) {
+    this.channel = channel;
+    this.channel.binaryType = 'arraybuffer';
+    this.channel.bufferedAmountLowThreshold = CONFIG.FILE_BUFFER_LOW;
+
+    this.channel.onmessage = (event) => {
+      if (event.data instanceof ArrayBuffer) {
+        this.handleChunk(event.data);
+      } else {
+        this.router.dispatch(event.data);
+      }
+    };
+
+    this.channel.onclose = () => {
+      logger.info('File channel closed');
+      this.abortAll();
+    };
+
+    logger.info('📁 File transfer ready');
+    this.sendNext();
+  }
+
+  /**
+   * Stop using the current channel and abort all transfers
+   */
+  detach() {
+    this.abortAll();
+    this.channel = null;
+  }
+
+  /**
+   * Queue a file for sending
+   * @param {File} file - File to send
+   * @returns {string} Transfer id
+   */
+  sendFile(file) {
+    if (file.size > CONFIG.FILE_MAX_SIZE) {
+      throw new Error(ERROR_MESSAGES.FILE_TOO_LARGE);
+    }
+
+    const id = generateId();
+    this.queue.push({ id, file });
+    this.emit('progress', {
+      id, name: file.name, size: file.size, direction: 'send', transferred: 0,
+    });
+
+    this.sendNext();
+    return id;
+  }
+
+  /**
+   * Cancel a transfer in either direction
+   * @param {string} id - Transfer id
+   */
+  cancel(id) {
+    const queued = this.queue.findIndex(item => item.id === id);
+    if (queued !== -1) {
+      const [{ file }] = this.queue.splice(queued, 1);
+      this.emit('cancelled', { id, name: file.name, direction: 'send', byPeer: false });
+      return;
+    }
+
+    if (this.sending?.id === id) {
+      // The send loop notices and stops
+      this.cancelled.set(id, false);
+      this.sendControl({ type: 'file-cancel', id });
+      return;
+    }
+
+    if (this.receiving?.id === id) {
+      const { name } = this.receiving;
+      this.receiving = null;
+      this.sendControl({ type: 'file-cancel', id });
+      this.emit('cancelled', { id, name, direction: 'receive', byPeer: false });
+    }
+  }
+
+  /**
+   * Send queued files one at a time
+   * @private
+   */
+  async sendNext() {
+    if (this.sending || !this.isChannelOpen() || this.queue.length === 0) return;
+
+    this.sending = this.queue.shift();
+    const { id, file } = this.sending;
+
+    try {
+      await this.sendTransfer(id, file);
+    } catch (error) {
+      logger.error('File send failed:', error);
+      this.emit('error', { id, name: file.name, direction: 'send', message: ERROR_MESSAGES.FILE_TRANSFER_FAILED });
+    } finally {
+      this.cancelled.delete(id);
+      this.sending = null;
+      this.sendNext();
+    }
+  }
+
+  /**
+   * Stream one file: start frame, chunks with backpressure, end frame
+   * @private
+   */
+  async sendTransfer(id, file) {
+    logger.info(`📤 Sending file "${file.name}"`, { size: file.size });
+
+    const hash = new Sha256();
+
+    this.sendControl({ type: 'file-start', id, name: file.name, size: file.size, mime: file.type });
+
+    let offset = 0;
+    let lastPercent = -1;
+
+    while (offset < file.size) {
+      if (this.cancelled.has(id)) {
+        this.emit('cancelled', { id, name: file.name, direction: 'send', byPeer: this.cancelled.get(id) });
+        return;
+      }
+      if (!this.isChannelOpen()) {
+        throw new Error('File channel closed during transfer');
+      }
+
+      if (this.channel.bufferedAmount > CONFIG.FILE_BUFFER_HIGH) {
+        await this.waitForBufferDrain();
+        continue;
+      }
+
+      const chunk = await file.slice(offset, offset + CONFIG.FILE_CHUNK_SIZE).arrayBuffer();
+      this.channel.send(chunk);
+      hash.update(chunk);
+      offset += chunk.byteLength;
+
+      const percent = Math.floor((offset / file.size) * 100);
+      if (percent !== lastPercent) {
+        lastPercent = percent;
+        this.emit('progress', {
+          id, name: file.name, size: file.size, direction: 'send', transferred: offset,
+        });
+      }
+    }
+
+    this.sendControl({ type: 'file-end', id, sha256: hash.digestHex() });
+    logger.info(`✅ File "${file.name}" sent`);
+    this.emit('complete', { id, name: file.name, size: file.size, direction: 'send' });
+  }
+
+  /**
+   * Resolve when the channel buffer drops below the low threshold
+   * @private
+   */
+  waitForBufferDrain() {
+    return new Promise((resolve) => {
+      const done = () => {
+        this.channel?.removeEventListener('bufferedamountlow', done);
+        this.channel?.removeEventListener('close', done);
+        resolve();
+      };
+      this.channel.addEventListener('bufferedamountlow', done);
+      this.channel.addEventListener('close', done);
+    });
+  }
+
+  /**
+   * @private
+   */
+  handleStart({ id, name, size }) {
+    if (this.receiving) {
+      // Sender moved on without finishing - drop the partial file
+      this.emit('error', {
+        id: this.receiving.id, name: this.receiving.name, direction: 'receive',
+        message: ERROR_MESSAGES.FILE_TRANSFER_FAILED,
+      });
+    }
+
+    if (size > CONFIG.FILE_MAX_SIZE) {
+      logger.warn(`Rejecting file "${name}" (${size} bytes)`);
+      this.receiving = null;
+      this.sendControl({ type: 'file-cancel', id });
+      this.emit('error', { id, name, direction: 'receive', message: ERROR_MESSAGES.FILE_TOO_LARGE });
+      return;
+    }
+
+    logger.info(`📥 Receiving file "${name}"`, { size });
+    this.receiving = { id, name, size, chunks: [], hash: new Sha256(), received: 0, lastPercent: -1 };
+    this.emit('progress', { id, name, size, direction: 'receive', transferred: 0 });
+  }
+
+  /**
+   * @private
+   */
+  handleChunk(chunk) {
+    const transfer = this.receiving;
+    if (!transfer) return; // Cancelled - sender hasn't noticed yet
+
+    // More bytes than announced: FILE_MAX_SIZE only bounded the announcement
+    if (transfer.received + chunk.byteLength > transfer.size) {
+      logger.error(`File "${transfer.name}" exceeded its announced size`);
+      this.receiving = null;
+      transfer.chunks = null;
+      this.sendControl({ type: 'file-cancel', id: transfer.id });
+      this.emit('error', {
+        id: transfer.id, name: transfer.name, direction: 'receive',
+        message: ERROR_MESSAGES.FILE_INTEGRITY_FAILED,
+      });
+      return;
+    }
+
+    transfer.chunks.push(chunk);
+    transfer.hash.update(chunk);
+    transfer.received += chunk.byteLength;
+
+    const percent = transfer.size ? Math.floor((transfer.received / transfer.size) * 100) : 100;
+    if (percent !== transfer.lastPercent) {
+      transfer.lastPercent = percent;
+      this.emit('progress', {
+        id: transfer.id, name: transfer.name, size: transfer.size,
+        direction: 'receive', transferred: transfer.received,
+      });
+    }
+  }
+
+  /**
+   * Assemble and verify a received file
+   * @private
+   */
+  handleEnd({ id, sha256 }) {
+    const transfer = this.receiving;
+    if (transfer?.id !== id) return;
+    this.receiving = null;
+
+    // Never the peer's mime: a text/html blob opened in a tab would run in our origin
+    const blob = new Blob(transfer.chunks, { type: 'application/octet-stream' });
+    transfer.chunks = null;
+
+    if (blob.size !== transfer.size || transfer.hash.digestHex() !== sha256) {
+      logger.error(`Integrity check failed for "${transfer.name}"`);
+      this.emit('error', {
+        id, name: transfer.name, direction: 'receive', message: ERROR_MESSAGES.FILE_INTEGRITY_FAILED,
+      });
+      return;
+    }
+
+    logger.info(`✅ File "${transfer.name}" received and verified`);
+    this.emit('complete', { id, name: transfer.name, size: transfer.size, direction: 'receive', blob });
+  }
+
+  /**
+   * @private
+   */
+  handleRemoteCancel({ id }) {
+    if (this.sending?.id === id) {
+      this.cancelled.set(id, true);
+      logger.info('Peer cancelled incoming file');
+      return;
+    }
+
+    if (this.receiving?.id === id) {
+      const { name } = this.receiving;
+      this.receiving = null;
+      logger.info('Peer cancelled file transfer');
+      this.emit('cancelled', { id, name, direction: 'receive', byPeer: true });
+    }
+  }
+
+  /**
+   * Fail everything in flight (channel gone)
+   * @private
+   */
+  abortAll() {
+    const pending = [
+      ...this.queue.map(({ id, file }) => ({ id, name: file.name, direction: 'send' })),
+      ...(this.receiving ? [{ id: this.receiving.id, name: this.receiving.name, direction: 'receive' }] : []),
+    ];
+
+    if (this.sending) {
+      this.cancelled.set(this.sending.id, false);
+    }
+    this.queue = [];
+    this.receiving = null;
+
+    pending.forEach(transfer => {
+      this.emit('error', { ...transfer, message: ERROR_MESSAGES.FILE_TRANSFER_FAILED });
+    });
+  }
+
+  /**
+   * @private
+   */
+  sendControl(message) {
+    if (this.isChannelOpen()) {
+      this.channel.send(JSON.stringify(message));
+    }
+  }
+
+  /**
+   * @private
+   */
+  isChannelOpen() {
+    return this.channel?.readyState === 'open';
+  }
+}
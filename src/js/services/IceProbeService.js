@@ -0,0 +1,53 @@
+/**
+ * IceProbeService - Checks STUN/TURN servers by gathering candidates through them
+ *
+ * @pattern Service Layer
+ * @purpose Tells the user which candidate types (host/srflx/relay) a server yields
+ * @note Each probe uses a throwaway RTCPeerConnection with only that server.
+ *       A STUN server works if it yields srflx, a TURN server if it yields relay.
+ */
+
+import { CONFIG } from '../config/webrtc.js';
+import { isTurnServer } from '../config/preferences.js';
+import logger from '../lib/Logger.js';
+
+export default class IceProbeService {
+  /**
+   * Gather candidates through one server
+   * @param {RTCIceServer} server - { urls, username?, credential? }
+   * @returns {Promise<{types: string[], ok: boolean}>} Candidate types seen, and
+   *          whether the type the server is for (srflx/relay) was among them
+   */
+  async probe(server) {
+    const pc = new RTCPeerConnection({ iceServers: [server] });
+    const types = new Set();
+
+    try {
+      pc.createDataChannel('probe');
+
+      const gathered = new Promise((resolve) => {
+        const timer = setTimeout(resolve, CONFIG.ICE_PROBE_TIMEOUT);
+        pc.onicecandidate = (event) => {
+          if (!event.candidate) {
+            clearTimeout(timer);
+            resolve();
+          } else if (event.candidate.type) {
+            types.add(event.candidate.type);
+          }
+        };
+      });
+
+      await pc.setLocalDescription(await pc.createOffer());
+      await gathered;
+    } catch (error) {
+      logger.warn(`ICE probe failed for ${server.urls}:`, error);
+    } finally {
+      pc.close();
+    }
+
+    const expected = isTurnServer(server) ? 'relay' : 'srflx';
+    const result = { types: [...types], ok: types.has(expected) };
+    logger.info(`🧪 ICE probe ${server.urls}`, result);
+    return result;
+  }
+}
@@ -2,39 +2,338 @@
  * MediaService - Manages media streams (camera/microphone)
  *
  * @pattern Service Layer
- * @purpose Abstraction over getUserMedia API with track management
+ * @purpose Abstraction over getUserMedia/getDisplayMedia APIs with track management
+ * @note Emits 'devicechange' when devices are plugged in or removed.
+ *       Device labels are empty until getUserMedia has been granted once.
  */
 
+import EventEmitter from '../lib/EventEmitter.js';
 import { getMediaConstraints } from '../config/webrtc.js';
-import { ERROR_MESSAGES } from '../config/constants.js';
+import { ERROR_MESSAGES, FACING_MODES } from '../config/constants.js';
 import logger from '../lib/Logger.js';
 
-export default class MediaService {
+// enumerateDevices kind -> enumerateDevices() result key and fallback label
+const DEVICE_GROUPS = {
+  videoinput: { key: 'cameras', label: 'Camera' },
+  audioinput: { key: 'microphones', label: 'Microphone' },
+  audiooutput: { key: 'speakers', label: 'Speaker' },
+};
+
+// getUserMedia errors after which a microphone-only request may still succeed
+const CAMERA_UNAVAILABLE_ERRORS = ['NotFoundError', 'NotReadableError', 'OverconstrainedError'];
+
+export default class MediaService extends EventEmitter {
   constructor() {
+    super();
     this.localStream = null;
+    this.screenStream = null;
     this.micEnabled = true;
     this.cameraEnabled = true;
+
+    navigator.mediaDevices?.addEventListener?.('devicechange', () => {
+      logger.debug('Media devices changed');
+      this.emit('devicechange');
+    });
   }
 
   /**
    * Request user's camera and microphone
+   * @note Falls back to microphone only when no camera is available; check
+   *       the returned stream for video tracks
    * @param {MediaStreamConstraints} constraints - Optional constraint overrides
+   * @param {Object} [options]
+   * @param {boolean} [options.audioOnly] - Don't request the camera at all
    * @returns {Promise<MediaStream>}
    */
-  async getUserMedia(constraints = {}) {
+  async getUserMedia(constraints = {}, { audioOnly = false } = {}) {
+    const request = getMediaConstraints(constraints);
+    if (audioOnly) request.video = false;
+
     try {
       logger.info('Requesting user media...');
-      this.localStream = await navigator.mediaDevices.getUserMedia(
-        getMediaConstraints(constraints)
-      );
+      this.localStream = await navigator.mediaDevices.getUserMedia(request);
       logger.info('User media granted');
       return this.localStream;
     } catch (error) {
-      logger.error('Failed to get user media:', error);
+      if (audioOnly || !CAMERA_UNAVAILABLE_ERRORS.includes(error.name)) {
+        logger.error('Failed to get user media:', error);
+        throw this.handleMediaError(error);
+      }
+
+      logger.warn('Camera unavailable, falling back to audio only:', error);
+      return this.getUserMedia(constraints, { audioOnly: true });
+    }
+  }
+
+  /**
+   * Drop the camera from the local stream (audio-only call)
+   */
+  removeVideo() {
+    if (!this.localStream) return;
+
+    this.localStream.getVideoTracks().forEach(track => track.stop());
+    this.localStream = new MediaStream(this.localStream.getAudioTracks());
+    logger.debug('Camera released');
+  }
+
+  /**
+   * Add a camera to an audio-only local stream
+   * @returns {Promise<MediaStreamTrack>} New video track
+   */
+  async restoreVideo() {
+    let stream;
+    try {
+      logger.info('Requesting camera...');
+      stream = await navigator.mediaDevices.getUserMedia({ video: getMediaConstraints().video });
+    } catch (error) {
+      logger.error('Failed to get camera:', error);
+      throw this.handleMediaError(error);
+    }
+
+    const [track] = stream.getVideoTracks();
+    track.enabled = this.cameraEnabled;
+    this.localStream = new MediaStream([...(this.localStream?.getAudioTracks() ?? []), track]);
+    return track;
+  }
+
+  /**
+   * List available cameras, microphones and speakers
+   * @returns {Promise<{cameras: Object[], microphones: Object[], speakers: Object[]}>}
+   *          Each entry is { deviceId, label }
+   */
+  async enumerateDevices() {
+    const devices = { cameras: [], microphones: [], speakers: [] };
+
+    if (!navigator.mediaDevices?.enumerateDevices) return devices;
+
+    const list = await navigator.mediaDevices.enumerateDevices();
+    list.forEach(device => {
+      const group = DEVICE_GROUPS[device.kind];
+      // Chrome lists 'default'/'communications' aliases next to the real devices
+      if (!group || device.deviceId === 'communications') return;
+
+      const entries = devices[group.key];
+      entries.push({
+        deviceId: device.deviceId,
+        label: device.label || `${group.label} ${entries.length + 1}`,
+      });
+    });
+
+    return devices;
+  }
+
+  /**
+   * Move the local stream's camera or microphone to another device
+   * @param {string} kind - 'audio' or 'video'
+   * @param {string} deviceId - enumerateDevices deviceId
+   * @returns {Promise<MediaStreamTrack>} New track
+   */
+  async switchDevice(kind, deviceId) {
+    logger.info(`Switching ${kind} device...`);
+    return this.replaceLocalTrack(kind, { deviceId: { exact: deviceId } });
+  }
+
+  /**
+   * Move the local stream's video to the front or rear camera
+   * @param {string} facingMode - FACING_MODES value
+   * @returns {Promise<MediaStreamTrack>} New track
+   */
+  async switchFacingMode(facingMode) {
+    logger.info(`Switching to ${facingMode} camera...`);
+    // No camera faces that way: the request fails before the current one is touched
+    return this.replaceLocalTrack('video', { facingMode: { exact: facingMode } }, {
+      OverconstrainedError: ERROR_MESSAGES.NO_OTHER_CAMERA,
+    });
+  }
+
+  /**
+   * Acquire a new track and put it in place of the current one
+   * @private
+   * @note localStream becomes a new stream with the new track in place of the
+   *       old one, which keeps the current mute state. The caller still has to
+   *       swap the track into the peer connection - also when this throws, as
+   *       the previous device may have been reopened as a new track.
+   * @param {string} kind - 'audio' or 'video'
+   * @param {MediaTrackConstraints} trackConstraints - Device selection constraints
+   * @param {Object} [errorMessages] - Error name -> message, over handleMediaError's
+   * @returns {Promise<MediaStreamTrack>} New track
+   */
+  async replaceLocalTrack(kind, trackConstraints, errorMessages = {}) {
+    if (!this.localStream) {
+      throw new Error(ERROR_MESSAGES.CAMERA_NOT_FOUND);
+    }
+
+    const oldTracks = kind === 'audio'
+      ? this.localStream.getAudioTracks()
+      : this.localStream.getVideoTracks();
+    const constraints = {
+      [kind]: getMediaConstraints({ [kind]: trackConstraints })[kind],
+    };
+
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia(constraints);
+    } catch (error) {
+      if (error.name !== 'NotReadableError') {
+        logger.error(`Failed to switch ${kind} device:`, error);
+        throw this.handleMediaError(error, errorMessages);
+      }
+
+      // Many phones can't open two cameras at once - release the old one and retry
+      const previousId = oldTracks[0]?.getSettings().deviceId;
+      oldTracks.forEach(track => track.stop());
+      try {
+        stream = await navigator.mediaDevices.getUserMedia(constraints);
+      } catch (retryError) {
+        logger.error(`Failed to switch ${kind} device:`, retryError);
+        await this.restoreDevice(kind, previousId, oldTracks);
+        throw this.handleMediaError(retryError, errorMessages);
+      }
+    }
+
+    const track = this.installTrack(kind, stream, oldTracks);
+    logger.info(`${kind} device switched`, { label: track.label });
+    return track;
+  }
+
+  /**
+   * Reopen the device a failed switch released, so the call keeps its camera/mic
+   * @private
+   * @param {string} kind - 'audio' or 'video'
+   * @param {string|undefined} deviceId - Device behind the released tracks
+   * @param {MediaStreamTrack[]} oldTracks - Released (ended) tracks in localStream
+   */
+  async restoreDevice(kind, deviceId, oldTracks) {
+    if (!deviceId) return;
+
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({
+        [kind]: getMediaConstraints({ [kind]: { deviceId: { exact: deviceId } } })[kind],
+      });
+      this.installTrack(kind, stream, oldTracks);
+      logger.info(`Previous ${kind} device restored`);
+    } catch (error) {
+      logger.error(`Failed to restore previous ${kind} device:`, error);
+    }
+  }
+
+  /**
+   * Put a stream's track in localStream in place of the old tracks
+   * @private
+   * @returns {MediaStreamTrack} The installed track
+   */
+  installTrack(kind, stream, oldTracks) {
+    const [track] = stream.getTracks();
+    track.enabled = kind === 'audio' ? this.micEnabled : this.cameraEnabled;
+
+    oldTracks.forEach(old => old.stop());
+    this.localStream = new MediaStream([
+      ...this.localStream.getTracks().filter(existing => !oldTracks.includes(existing)),
+      track,
+    ]);
+    return track;
+  }
+
+  /**
+   * Device id behind the current local track of a kind
+   * @param {string} kind - 'audio' or 'video'
+   * @returns {string|null}
+   */
+  getDeviceId(kind) {
+    const [track] = kind === 'audio'
+      ? this.localStream?.getAudioTracks() ?? []
+      : this.localStream?.getVideoTracks() ?? [];
+
+    return track?.getSettings().deviceId ?? null;
+  }
+
+  /**
+   * Which way the current camera faces
+   * @note Desktop webcams don't report facingMode - they face the user
+   * @returns {string} FACING_MODES value
+   */
+  getFacingMode() {
+    const [track] = this.localStream?.getVideoTracks() ?? [];
+    return track?.getSettings().facingMode === FACING_MODES.ENVIRONMENT
+      ? FACING_MODES.ENVIRONMENT
+      : FACING_MODES.USER;
+  }
+
+  /**
+   * Request a camera stream for QR scanning
+   * @note Independent of localStream - the caller must stop its tracks
+   * @returns {Promise<MediaStream>}
+   */
+  async getScannerStream() {
+    try {
+      logger.info('Requesting camera for QR scanning...');
+      return await navigator.mediaDevices.getUserMedia({
+        audio: false,
+        video: { facingMode: { ideal: 'environment' } },
+      });
+    } catch (error) {
+      logger.error('Failed to get scanner camera:', error);
       throw this.handleMediaError(error);
     }
   }
 
+  /**
+   * Check if the browser can capture the screen
+   * @returns {boolean}
+   */
+  isScreenShareSupported() {
+    return typeof navigator.mediaDevices?.getDisplayMedia === 'function';
+  }
+
+  /**
+   * Start capturing the screen (video only - the mic keeps carrying audio)
+   * @returns {Promise<MediaStreamTrack>} Screen video track
+   */
+  async startScreenShare() {
+    if (!this.isScreenShareSupported()) {
+      throw new Error(ERROR_MESSAGES.SCREEN_SHARE_UNSUPPORTED);
+    }
+
+    try {
+      logger.info('Requesting display media...');
+      this.screenStream = await navigator.mediaDevices.getDisplayMedia({
+        video: true,
+        audio: false,
+      });
+    } catch (error) {
+      logger.error('Failed to get display media:', error);
+      if (error.name === 'NotAllowedError') {
+        throw new Error(ERROR_MESSAGES.SCREEN_SHARE_DENIED);
+      }
+      throw this.handleMediaError(error);
+    }
+
+    const [track] = this.screenStream.getVideoTracks();
+    // Favour legibility of text over motion smoothness
+    track.contentHint = 'detail';
+    logger.info('Display media granted');
+    return track;
+  }
+
+  /**
+   * Stop screen capture
+   */
+  stopScreenShare() {
+    if (this.screenStream) {
+      this.screenStream.getTracks().forEach(track => track.stop());
+      this.screenStream = null;
+      logger.debug('Screen capture stopped');
+    }
+  }
+
+  /**
+   * Get current screen capture stream
+   * @returns {MediaStream|null}
+   */
+  getScreenStream() {
+    return this.screenStream;
+  }
+
   /**
    * Toggle microphone on/off
    * @param {boolean} enabled - Enable or disable
@@ -67,6 +366,8 @@ export default class MediaService {
    * Stop all tracks and release media devices
    */
   stopAllTracks() {
+    this.stopScreenShare();
+
     if (this.localStream) {
       this.localStream.getTracks().forEach(track => {
         track.stop();
@@ -104,9 +405,10 @@ export default class MediaService {
    * Handle media errors with user-friendly messages
    * @private
    * @param {Error} error - Media error from getUserMedia
+   * @param {Object} [overrides] - Error name -> message, for context-specific wording
    * @returns {Error} Formatted error
    */
-  handleMediaError(error) {
+  handleMediaError(error, overrides = {}) {
     const errorMap = {
       'NotAllowedError': ERROR_MESSAGES.CAMERA_DENIED,
       'NotFoundError': ERROR_MESSAGES.CAMERA_NOT_FOUND,
@@ -114,7 +416,7 @@ export default class MediaService {
       'OverconstrainedError': ERROR_MESSAGES.CAMERA_IN_USE,
     };
 
-    const message = errorMap[error.name] || error.message;
+    const message = overrides[error.name] || errorMap[error.name] || error.message;
     return new Error(message);
   }
 }
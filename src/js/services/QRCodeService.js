@@ -4,48 +4,58 @@
  * @pattern Service Layer
  * @purpose Handles QR code creation with adaptive error correction and multi-decoder scanning
  * @dependencies qrcode.js (generation), ZXing + jsQR (decoding)
+ * @note Oversized payloads are shown as an animated sequence of fountain-coded
+ *       frames (lib/FountainCode.js) and reassembled on the scanning side
  */
 
-import { CONFIG } from '../config/webrtc.js';
+import { CONFIG, getSetting } from '../config/webrtc.js';
 import {
   ERROR_MESSAGES,
   SUCCESS_MESSAGES,
   QR_CONTEXTS,
 } from '../config/constants.js';
 import { QRCode } from '../lib/qrcode.js';
+import { FountainEncoder, FountainDecoder } from '../lib/FountainCode.js';
 import { blobToDataURL, getOptimalQRErrorCorrection } from '../lib/helpers.js';
+import {
+  decodeSignal,
+  extractSignalPayload,
+  isUnsupportedSignalError,
+  isPassphraseError,
+} from '../lib/signalEnvelope.js';
 import logger from '../lib/Logger.js';
 
 export default class QRCodeService {
   constructor() {
     this.currentQRData = null;
+    this.animationTimer = null;
+    this.frameDecoder = new FountainDecoder();
   }
 
   /**
    * Generate QR code as canvas element
    * @param {string} data - Data to encode
+   * @param {HTMLCanvasElement} [canvas] - Canvas to draw into (new one if omitted)
    * @returns {Promise<HTMLCanvasElement>} Canvas with QR code
    */
-  async generateQRCode(data) {
+  async generateQRCode(data, canvas = document.createElement('canvas')) {
     if (typeof QRCode === 'undefined') {
       throw new Error(ERROR_MESSAGES.QR_LIBRARY_NOT_LOADED);
     }
 
     const errorCorrection = getOptimalQRErrorCorrection(data);
-    logger.info(
+    logger.debug(
       `Generating QR code (${data.length} chars, EC: ${errorCorrection})`
     );
 
-    const canvas = document.createElement('canvas');
-
     return new Promise((resolve, reject) => {
       QRCode.toCanvas(
         canvas,
         data,
         {
           errorCorrectionLevel: errorCorrection,
-          width: CONFIG.QR_SIZE,
-          margin: CONFIG.QR_MARGIN,
+          width: getSetting('QR_SIZE'),
+          margin: getSetting('QR_MARGIN'),
           color: {
             dark: '#000000',
             light: '#FFFFFF',
@@ -56,7 +66,7 @@ export default class QRCodeService {
             logger.error('QR generation failed:', error);
             reject(error);
           } else {
-            logger.info('QR code generated successfully');
+            logger.debug('QR code generated successfully');
             resolve(canvas);
           }
         }
@@ -64,6 +74,62 @@ export default class QRCodeService {
     });
   }
 
+  /**
+   * Check if data is too long for a single reliable QR code
+   * @param {string} data - Data to encode
+   * @returns {boolean}
+   */
+  needsAnimation(data) {
+    return data.length > CONFIG.QR_ANIMATION_THRESHOLD;
+  }
+
+  /**
+   * Start cycling fountain-coded frames of data on a canvas
+   * @param {string} data - Data to encode
+   * @returns {Promise<HTMLCanvasElement>} Canvas showing the first frame
+   */
+  async startAnimation(data) {
+    this.stopAnimation();
+
+    const encoder = new FountainEncoder(data, CONFIG.QR_FRAME_LENGTH);
+    const canvas = await this.generateQRCode(encoder.nextFrame());
+
+    logger.info(`Animated QR started (${encoder.count} fragments)`);
+
+    const drawNext = async () => {
+      try {
+        await this.generateQRCode(encoder.nextFrame(), canvas);
+      } catch (error) {
+        logger.error('Animated QR frame failed:', error);
+      }
+      // Stopped while drawing
+      if (this.animationTimer !== null) {
+        this.animationTimer = setTimeout(drawNext, CONFIG.QR_FRAME_INTERVAL);
+      }
+    };
+    this.animationTimer = setTimeout(drawNext, CONFIG.QR_FRAME_INTERVAL);
+
+    return canvas;
+  }
+
+  /**
+   * Stop animated QR playback
+   */
+  stopAnimation() {
+    if (this.animationTimer !== null) {
+      clearTimeout(this.animationTimer);
+      this.animationTimer = null;
+      logger.debug('Animated QR stopped');
+    }
+  }
+
+  /**
+   * @returns {boolean} true while an animated QR is playing
+   */
+  isAnimating() {
+    return this.animationTimer !== null;
+  }
+
   /**
    * Generate QR code and convert to blob
    * @param {string} data - Data to encode
@@ -150,10 +216,62 @@ export default class QRCodeService {
       throw new Error(ERROR_MESSAGES.INVALID_QR);
     }
 
+    return this.processDecodedText(decoded, expectedContext);
+  }
+
+  /**
+   * Validate text decoded from a QR code (image or live camera)
+   * @param {string} decoded - Decoded QR text
+   * @param {string} expectedContext - 'offer' or 'answer'
+   * @returns {Promise<Object>} Validated data, or { type: 'partial', progress }
+   *                            for an incomplete animated QR
+   */
+  async processDecodedText(decoded, expectedContext) {
+    if (FountainDecoder.isFrame(decoded)) {
+      return this.collectAnimatedFrame(decoded, expectedContext);
+    }
+
     // Validate decoded data based on context
     return this.validateDecodedQR(decoded, expectedContext);
   }
 
+  /**
+   * Feed one animated QR frame to the assembler
+   * @param {string} frame - Decoded frame text
+   * @param {string} expectedContext - 'offer' or 'answer'
+   * @returns {Promise<Object>} Validated data once complete, otherwise
+   *                            { type: 'partial', progress }
+   */
+  async collectAnimatedFrame(frame, expectedContext) {
+    this.frameDecoder.receive(frame);
+
+    if (!this.frameDecoder.isComplete()) {
+      const progress = this.frameDecoder.getProgress();
+      logger.info(`Animated QR frame collected (${Math.round(progress * 100)}%)`);
+      return { type: 'partial', progress };
+    }
+
+    const payload = this.frameDecoder.getResult();
+    this.frameDecoder.reset();
+    logger.info('✅ Animated QR assembled', { length: payload.length });
+
+    return this.validateDecodedQR(payload, expectedContext);
+  }
+
+  /**
+   * @returns {boolean} true if some, but not all, animated frames were collected
+   */
+  isCollectingFrames() {
+    return this.frameDecoder.getReceivedCount() > 0 && !this.frameDecoder.isComplete();
+  }
+
+  /**
+   * Drop partially collected animated frames
+   */
+  resetFrameCollection() {
+    this.frameDecoder.reset();
+  }
+
   /**
    * Decode QR code from image data URL
    * @private
@@ -263,60 +381,55 @@ export default class QRCodeService {
    * @private
    * @param {string} decoded - Decoded QR text
    * @param {string} expectedContext - 'offer' or 'answer'
-   * @returns {Object} Validated data
+   * @returns {Promise<Object>} Validated data
    * @throws {Error} If validation fails
    */
-  validateDecodedQR(decoded, expectedContext) {
+  async validateDecodedQR(decoded, expectedContext) {
     logger.debug(`Validating QR as ${expectedContext}`, {
       startsWithHttp: decoded.startsWith('http'),
       length: decoded.length,
     });
 
-    if (expectedContext === QR_CONTEXTS.OFFER) {
-      // Expecting an offer QR code (URL with hash)
-      if (decoded.startsWith('http')) {
-        try {
-          const url = new URL(decoded);
-          if (url.hash) {
-            const offerData = url.hash.slice(1);
-            logger.info('✅ Valid offer URL');
-            return { type: 'offer', data: offerData, raw: decoded };
-          }
-        } catch (e) {
-          logger.error('Invalid offer URL:', e);
-        }
-      } else {
-        // Try to decode as base64 offer data directly
-        try {
-          const data = JSON.parse(atob(decoded));
-          if (data.type === 'offer') {
-            logger.info('✅ Valid base64 offer data');
-            return { type: 'offer', data: decoded, raw: decoded };
-          }
-        } catch (e) {
-          // Not valid
-        }
-      }
-      throw new Error(ERROR_MESSAGES.QR_WRONG_TYPE_OFFER);
-    } else if (expectedContext === QR_CONTEXTS.ANSWER) {
-      // Expecting an answer QR code (base64 encoded answer)
-      if (decoded.startsWith('http')) {
-        throw new Error(ERROR_MESSAGES.QR_WRONG_TYPE_ANSWER);
-      }
+    if (
+      expectedContext !== QR_CONTEXTS.OFFER &&
+      expectedContext !== QR_CONTEXTS.ANSWER
+    ) {
+      throw new Error(ERROR_MESSAGES.INVALID_QR);
+    }
+
+    // Answers are raw codes; a URL is always an offer link
+    if (expectedContext === QR_CONTEXTS.ANSWER && decoded.startsWith('http')) {
+      throw new Error(ERROR_MESSAGES.QR_WRONG_TYPE_ANSWER);
+    }
 
+    const payload = extractSignalPayload(decoded);
+    let signalType = null;
+
+    if (payload) {
       try {
-        const data = JSON.parse(atob(decoded));
-        if (data.type === 'answer') {
-          logger.info('✅ Valid answer data');
-          return { type: 'answer', data: decoded, raw: decoded };
-        }
+        signalType = (await decodeSignal(payload)).data?.type;
       } catch (e) {
-        // Not valid
+        if (isUnsupportedSignalError(e)) {
+          throw e;
+        }
+        // Encrypted - type is only known after the passphrase prompt, signaling re-validates it
+        if (isPassphraseError(e)) {
+          signalType = expectedContext;
+        }
+        logger.debug('QR payload could not be read:', e);
       }
-      throw new Error(ERROR_MESSAGES.QR_WRONG_TYPE_OFFER);
     }
 
-    throw new Error(ERROR_MESSAGES.INVALID_QR);
+    if (signalType === expectedContext) {
+      logger.info(`✅ Valid ${expectedContext} data`);
+      return { type: expectedContext, data: payload, raw: decoded };
+    }
+
+    if (expectedContext === QR_CONTEXTS.ANSWER && signalType === 'offer') {
+      throw new Error(ERROR_MESSAGES.QR_WRONG_TYPE_ANSWER);
+    }
+
+    throw new Error(ERROR_MESSAGES.QR_WRONG_TYPE_OFFER);
   }
 
   /**
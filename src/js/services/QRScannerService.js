@@ -0,0 +1,168 @@
+/**
+ * QRScannerService - Live QR scanning from the camera
+ *
+ * @pattern Service Layer
+ * @purpose Streams camera frames to a decoding worker and emits decoded text
+ * @note Uses its own camera stream - the call's localStream is never touched
+ */
+
+import EventEmitter from '../lib/EventEmitter.js';
+import { CONFIG } from '../config/webrtc.js';
+import logger from '../lib/Logger.js';
+
+export default class QRScannerService extends EventEmitter {
+  constructor(mediaService) {
+    super();
+    this.media = mediaService;
+    this.stream = null;
+    this.video = null;
+    this.worker = null;
+    this.canvas = null;
+    this.ctx = null;
+    this.timer = null;
+    this.frameId = 0;
+    this.pendingFrameId = null;
+    this.lastText = null;
+    this.paused = false;
+  }
+
+  /**
+   * Start scanning into a video element
+   * @param {HTMLVideoElement} videoElement - Element to show the camera preview
+   * @returns {Promise<void>}
+   */
+  async start(videoElement) {
+    this.stop();
+
+    this.stream = await this.media.getScannerStream();
+    this.video = videoElement;
+    this.video.srcObject = this.stream;
+    await this.video.play();
+
+    this.canvas = document.createElement('canvas');
+    this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+
+    this.worker = new Worker(new URL('../workers/qrScanWorker.js', import.meta.url));
+    this.worker.onmessage = (event) => this.handleWorkerResult(event.data);
+    this.worker.onerror = (error) => {
+      logger.error('QR scan worker failed:', error);
+      this.emit('error', error);
+    };
+
+    logger.info('📷 Live QR scanning started');
+    this.scheduleFrame();
+  }
+
+  /**
+   * Stop scanning and release the camera
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+
+    if (this.stream) {
+      this.stream.getTracks().forEach(track => track.stop());
+      this.stream = null;
+      logger.info('📷 Live QR scanning stopped');
+    }
+
+    if (this.video) {
+      this.video.srcObject = null;
+      this.video = null;
+    }
+
+    this.pendingFrameId = null;
+    this.lastText = null;
+    this.paused = false;
+  }
+
+  /**
+   * Stop sending frames (camera preview keeps running)
+   */
+  pause() {
+    this.paused = true;
+  }
+
+  /**
+   * Resume sending frames after pause()
+   */
+  resume() {
+    this.paused = false;
+  }
+
+  /**
+   * Let the code seen last be reported again (e.g. to retry a passphrase)
+   */
+  forgetLastCode() {
+    this.lastText = null;
+  }
+
+  /**
+   * @returns {boolean} true while the camera is scanning
+   */
+  isScanning() {
+    return this.stream !== null;
+  }
+
+  /**
+   * @private
+   */
+  scheduleFrame() {
+    this.timer = setTimeout(() => this.captureFrame(), CONFIG.QR_SCAN_INTERVAL);
+  }
+
+  /**
+   * Grab a downscaled frame and hand it to the worker
+   * @private
+   */
+  captureFrame() {
+    if (!this.worker) return;
+
+    // One frame in flight at a time - slow devices just scan less often
+    if (!this.paused && this.pendingFrameId === null && this.video.readyState >= HTMLMediaElement.HAVE_CURRENT_DATA) {
+      const scale = Math.min(1, CONFIG.QR_SCAN_MAX_SIZE / Math.max(this.video.videoWidth, this.video.videoHeight));
+      const width = Math.floor(this.video.videoWidth * scale);
+      const height = Math.floor(this.video.videoHeight * scale);
+
+      if (width > 0 && height > 0) {
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.ctx.drawImage(this.video, 0, 0, width, height);
+
+        const { data } = this.ctx.getImageData(0, 0, width, height);
+        this.pendingFrameId = ++this.frameId;
+        this.worker.postMessage(
+          { id: this.pendingFrameId, width, height, buffer: data.buffer },
+          [data.buffer]
+        );
+      }
+    }
+
+    this.scheduleFrame();
+  }
+
+  /**
+   * @private
+   */
+  handleWorkerResult({ id, text, error }) {
+    if (id !== this.pendingFrameId) return;
+    this.pendingFrameId = null;
+
+    if (error) {
+      logger.debug('QR frame decode failed:', error);
+      return;
+    }
+
+    // The camera sees the same code many times per second
+    if (!text || text === this.lastText) return;
+    this.lastText = text;
+
+    logger.debug('QR detected in camera frame', { length: text.length });
+    this.emit('decoded', text);
+  }
+}
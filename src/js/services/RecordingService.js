@@ -0,0 +1,293 @@
+/**
+ * RecordingService - Local call recording to WebM
+ *
+ * @pattern Service Layer
+ * @purpose Composites local and remote video on a canvas, mixes both audio
+ *          tracks with WebAudio, and records the result with MediaRecorder
+ * @note Sources are read through a callback on every frame, so device
+ *       switches, screen sharing and layout changes show up in the recording.
+ *       Background tabs throttle timers, so the frame rate drops while hidden.
+ *
+ * Emits 'tick' (elapsed ms, once a second while recording) and 'state' (RECORDING_STATES value).
+ */
+
+import EventEmitter from '../lib/EventEmitter.js';
+import { CONFIG } from '../config/webrtc.js';
+import { VIDEO_MODES, RECORDING_STATES, ERROR_MESSAGES } from '../config/constants.js';
+import logger from '../lib/Logger.js';
+
+const MIME_TYPES = [
+  'video/webm;codecs=vp9,opus',
+  'video/webm;codecs=vp8,opus',
+  'video/webm',
+];
+
+export default class RecordingService extends EventEmitter {
+  constructor() {
+    super();
+    this.recorder = null;
+    this.chunks = [];
+    this.getSources = null;
+    this.frameTimer = null;
+    this.tickTimer = null;
+
+    this.canvas = null;
+    this.context = null;
+    this.videos = { local: null, remote: null };
+
+    this.audioContext = null;
+    this.audioDestination = null;
+    this.audioInputs = { local: null, remote: null }; // { stream, node }
+
+    this.startedAt = 0;
+    this.pausedAt = 0;
+    this.pausedTotal = 0;
+  }
+
+  /**
+   * Check if the browser can record a composited call
+   * @returns {boolean}
+   */
+  isSupported() {
+    return typeof MediaRecorder !== 'undefined'
+      && typeof AudioContext !== 'undefined'
+      && typeof HTMLCanvasElement.prototype.captureStream === 'function';
+  }
+
+  /**
+   * @returns {string} RECORDING_STATES value
+   */
+  getState() {
+    return this.recorder?.state ?? RECORDING_STATES.INACTIVE;
+  }
+
+  /**
+   * Start recording
+   * @param {Function} getSources - () => ({ localVideo, localAudio, remote, mode }):
+   *        streams to draw/mix (any may be null) and the VIDEO_MODES layout
+   */
+  start(getSources) {
+    if (!this.isSupported()) {
+      throw new Error(ERROR_MESSAGES.RECORDING_UNSUPPORTED);
+    }
+    if (this.recorder) return;
+
+    this.getSources = getSources;
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = CONFIG.RECORDING_WIDTH;
+    this.canvas.height = CONFIG.RECORDING_HEIGHT;
+    this.context = this.canvas.getContext('2d');
+    this.videos = { local: createVideo(), remote: createVideo() };
+
+    this.audioContext = new AudioContext();
+    this.audioDestination = this.audioContext.createMediaStreamDestination();
+
+    this.drawFrame();
+    this.frameTimer = setInterval(() => this.drawFrame(), 1000 / CONFIG.RECORDING_FRAMERATE);
+
+    const stream = new MediaStream([
+      ...this.canvas.captureStream(CONFIG.RECORDING_FRAMERATE).getVideoTracks(),
+      ...this.audioDestination.stream.getAudioTracks(),
+    ]);
+    const mimeType = MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+
+    this.chunks = [];
+    this.recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+    this.recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) this.chunks.push(event.data);
+    };
+    this.recorder.start(CONFIG.RECORDING_TIMESLICE);
+
+    this.startedAt = Date.now();
+    this.pausedTotal = 0;
+    this.tickTimer = setInterval(() => this.emit('tick', this.getElapsed()), 1000);
+
+    logger.info('🔴 Recording started', { mimeType: this.recorder.mimeType });
+    this.emit('state', RECORDING_STATES.RECORDING);
+  }
+
+  /**
+   * Pause recording (frames keep being drawn but are not recorded)
+   */
+  pause() {
+    if (this.recorder?.state !== 'recording') return;
+
+    this.recorder.pause();
+    this.pausedAt = Date.now();
+    logger.info('⏸️ Recording paused');
+    this.emit('state', RECORDING_STATES.PAUSED);
+  }
+
+  /**
+   * Resume a paused recording
+   */
+  resume() {
+    if (this.recorder?.state !== 'paused') return;
+
+    this.recorder.resume();
+    this.pausedTotal += Date.now() - this.pausedAt;
+    logger.info('▶️ Recording resumed');
+    this.emit('state', RECORDING_STATES.RECORDING);
+  }
+
+  /**
+   * Recorded time, excluding pauses
+   * @returns {number} Milliseconds
+   */
+  getElapsed() {
+    if (!this.recorder) return 0;
+
+    const pausedNow = this.recorder.state === 'paused' ? Date.now() - this.pausedAt : 0;
+    return Date.now() - this.startedAt - this.pausedTotal - pausedNow;
+  }
+
+  /**
+   * Stop recording and release the canvas and audio graph
+   * @returns {Promise<Blob|null>} WebM file, null if not recording
+   */
+  async stop() {
+    if (!this.recorder) return null;
+
+    const recorder = this.recorder;
+    const stopped = new Promise(resolve => {
+      recorder.onstop = resolve;
+    });
+    recorder.stop();
+    await stopped;
+
+    const blob = new Blob(this.chunks, { type: recorder.mimeType || 'video/webm' });
+    this.release();
+
+    logger.info('⏹️ Recording stopped', { size: blob.size });
+    this.emit('state', RECORDING_STATES.INACTIVE);
+    return blob;
+  }
+
+  /**
+   * @private
+   */
+  release() {
+    clearInterval(this.frameTimer);
+    clearInterval(this.tickTimer);
+    this.frameTimer = null;
+    this.tickTimer = null;
+
+    this.recorder.stream.getTracks().forEach(track => track.stop());
+    this.recorder = null;
+    this.chunks = [];
+
+    Object.values(this.videos).forEach(video => {
+      video.srcObject = null;
+    });
+    this.audioContext.close();
+    this.audioContext = null;
+    this.audioDestination = null;
+    this.audioInputs = { local: null, remote: null };
+    this.canvas = null;
+    this.context = null;
+    this.getSources = null;
+  }
+
+  /**
+   * Draw one frame in the current layout
+   * @private
+   */
+  drawFrame() {
+    const { localVideo, localAudio, remote, mode } = this.getSources();
+    const { width, height } = this.canvas;
+
+    this.attachVideo('local', localVideo);
+    this.attachVideo('remote', remote);
+    this.attachAudio('local', localAudio);
+    this.attachAudio('remote', remote);
+
+    this.context.fillStyle = '#0a0a0a';
+    this.context.fillRect(0, 0, width, height);
+
+    if (mode === VIDEO_MODES.SPLIT) {
+      this.drawVideo(this.videos.local, 0, 0, width / 2, height);
+      this.drawVideo(this.videos.remote, width / 2, 0, width / 2, height);
+      return;
+    }
+
+    const [full, thumbnail] = mode === VIDEO_MODES.LOCAL_FULL
+      ? [this.videos.local, this.videos.remote]
+      : [this.videos.remote, this.videos.local];
+    const thumbWidth = width * CONFIG.RECORDING_THUMBNAIL;
+    const thumbHeight = thumbWidth * (height / width);
+    const margin = width * 0.02;
+
+    this.drawVideo(full, 0, 0, width, height);
+    this.drawVideo(thumbnail, width - thumbWidth - margin, height - thumbHeight - margin, thumbWidth, thumbHeight);
+  }
+
+  /**
+   * Draw a video cropped to fill a box (object-fit: cover)
+   * @private
+   */
+  drawVideo(video, x, y, boxWidth, boxHeight) {
+    if (!video.srcObject || video.readyState < 2 || !video.videoWidth) return;
+
+    const scale = Math.max(boxWidth / video.videoWidth, boxHeight / video.videoHeight);
+    const sourceWidth = boxWidth / scale;
+    const sourceHeight = boxHeight / scale;
+
+    this.context.drawImage(
+      video,
+      (video.videoWidth - sourceWidth) / 2,
+      (video.videoHeight - sourceHeight) / 2,
+      sourceWidth,
+      sourceHeight,
+      x,
+      y,
+      boxWidth,
+      boxHeight
+    );
+  }
+
+  /**
+   * Point an offscreen video element at a stream if it changed
+   * @private
+   */
+  attachVideo(slot, stream) {
+    const video = this.videos[slot];
+    if (video.srcObject === (stream ?? null)) return;
+
+    video.srcObject = stream ?? null;
+    if (stream) {
+      video.play().catch(error => logger.warn(`Recording ${slot} video did not start:`, error));
+    }
+  }
+
+  /**
+   * Route a stream's audio into the mix if it changed
+   * @private
+   */
+  attachAudio(slot, stream) {
+    const input = this.audioInputs[slot];
+    if (input?.stream === stream) return;
+
+    input?.node.disconnect();
+    this.audioInputs[slot] = null;
+
+    // createMediaStreamSource throws for streams without audio
+    if (!stream?.getAudioTracks().length) return;
+
+    const node = this.audioContext.createMediaStreamSource(stream);
+    node.connect(this.audioDestination);
+    this.audioInputs[slot] = { stream, node };
+  }
+}
+
+/**
+ * Muted offscreen video element used as a canvas source
+ * @private
+ * @returns {HTMLVideoElement}
+ */
+function createVideo() {
+  const video = document.createElement('video');
+  video.muted = true;
+  video.playsInline = true;
+  return video;
+}
@@ -0,0 +1,135 @@
+/**
+ * RpcService - Request/response calls to the peer over the data channel
+ *
+ * @pattern Service Layer (Remote Proxy)
+ * @purpose Lets controllers call methods the peer exposes like local async functions
+ * @note Built on WebRTCService's message router:
+ *         { type: 'rpc-request', id, method, params }
+ *         { type: 'rpc-response', id, result }  or  { type: 'rpc-response', id, error: { message } }
+ *       Results and errors must be JSON-serializable. Calls that get no answer
+ *       within the timeout reject with RPC_TIMEOUT; a late answer is dropped.
+ */
+
+import { CONFIG } from '../config/webrtc.js';
+import { ERROR_MESSAGES } from '../config/constants.js';
+import { generateId } from '../lib/helpers.js';
+import logger from '../lib/Logger.js';
+
+export default class RpcService {
+  constructor(webrtcService) {
+    this.webrtc = webrtcService;
+    this.methods = new Map(); // name -> async (params) => result
+    this.pending = new Map(); // id -> { resolve, reject, timer, method }
+
+    this.webrtc.registerMessageHandler(
+      'rpc-request',
+      { id: 'string', method: 'string', params: 'object?' },
+      request => this.handleRequest(request)
+    );
+    this.webrtc.registerMessageHandler(
+      'rpc-response',
+      { id: 'string', error: 'object?' },
+      response => this.handleResponse(response)
+    );
+  }
+
+  /**
+   * Expose a method to the peer
+   * @param {string} method - Method name
+   * @param {Function} fn - (params) => result or Promise<result>
+   * @returns {Function} Function that stops exposing the method
+   */
+  expose(method, fn) {
+    if (this.methods.has(method)) {
+      throw new Error(`RPC method "${method}" is already exposed`);
+    }
+    this.methods.set(method, fn);
+    return () => this.methods.delete(method);
+  }
+
+  /**
+   * Call a method exposed by the peer
+   * @param {string} method - Method name
+   * @param {Object} [params] - JSON-serializable parameters
+   * @param {Object} [options]
+   * @param {number} [options.timeout] - Milliseconds to wait for the response
+   * @returns {Promise<*>} The peer's result
+   * @throws {Error} RPC_NOT_CONNECTED, RPC_TIMEOUT, or the peer's error message
+   */
+  call(method, params = {}, { timeout = CONFIG.RPC_TIMEOUT } = {}) {
+    const id = generateId();
+
+    return new Promise((resolve, reject) => {
+      if (!this.webrtc.sendMessage({ type: 'rpc-request', id, method, params })) {
+        reject(new Error(ERROR_MESSAGES.RPC_NOT_CONNECTED));
+        return;
+      }
+
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        logger.warn(`RPC "${method}" timed out after ${timeout}ms`);
+        reject(new Error(ERROR_MESSAGES.RPC_TIMEOUT));
+      }, timeout);
+
+      this.pending.set(id, { resolve, reject, timer, method });
+      logger.debug('📤 RPC call', { method, id });
+    });
+  }
+
+  /**
+   * Reject every call still waiting for an answer
+   * @param {string} [message] - Error message for the rejections
+   */
+  rejectAll(message = ERROR_MESSAGES.RPC_NOT_CONNECTED) {
+    this.pending.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(new Error(message));
+    });
+    this.pending.clear();
+  }
+
+  /**
+   * Run an exposed method and send back its result or error
+   * @private
+   */
+  async handleRequest({ id, method, params }) {
+    const fn = this.methods.get(method);
+
+    if (!fn) {
+      logger.warn(`Peer called unknown RPC method "${method}"`);
+      this.webrtc.sendMessage({
+        type: 'rpc-response', id, error: { message: ERROR_MESSAGES.RPC_METHOD_NOT_FOUND },
+      });
+      return;
+    }
+
+    try {
+      const result = await fn(params ?? {});
+      this.webrtc.sendMessage({ type: 'rpc-response', id, result: result ?? null });
+    } catch (error) {
+      logger.error(`RPC method "${method}" failed:`, error);
+      this.webrtc.sendMessage({ type: 'rpc-response', id, error: { message: error.message } });
+    }
+  }
+
+  /**
+   * Settle the matching pending call
+   * @private
+   */
+  handleResponse({ id, result, error }) {
+    const call = this.pending.get(id);
+    if (!call) {
+      logger.debug('Dropping RPC response for unknown or timed-out call', { id });
+      return;
+    }
+
+    clearTimeout(call.timer);
+    this.pending.delete(id);
+
+    if (error) {
+      call.reject(new Error(typeof error.message === 'string' ? error.message : ERROR_MESSAGES.RPC_FAILED));
+    } else {
+      call.resolve(result);
+    }
+  }
+}
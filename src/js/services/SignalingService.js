@@ -4,30 +4,63 @@
  * @pattern Service Layer
  * @purpose Handles manual signaling without traditional signaling server
  * @note Unique to this app - uses URL hash and base64 encoding for P2P signaling
+ *       Payloads are wrapped in a versioned envelope (see lib/signalEnvelope.js)
+ *       and optionally encrypted with a passphrase shared out of band
  */
 
-import { encodeToBase64, decodeFromBase64, extractHashFromUrl, isValidUrl, isValidSignalData } from '../lib/helpers.js';
-import { ERROR_MESSAGES } from '../config/constants.js';
+import { isValidSignalData } from '../lib/helpers.js';
+import {
+  encodeSignal,
+  decodeSignal,
+  createSessionId,
+  extractSignalPayload,
+  isUnsupportedSignalError,
+  isPassphraseError,
+  ENVELOPE_FLAGS,
+} from '../lib/signalEnvelope.js';
+import { ERROR_MESSAGES, STORAGE_KEYS } from '../config/constants.js';
+import { CONFIG } from '../config/webrtc.js';
 import logger from '../lib/Logger.js';
 
 export default class SignalingService {
   constructor() {
     this.offerUrl = null;
     this.answerCode = null;
+    this.passphrase = null;
+    this.sessionId = null; // Session of our current offer (initiator)
+  }
+
+  /**
+   * Set passphrase used to encrypt outgoing and decrypt incoming codes
+   * @param {string|null} passphrase - Shared passphrase, or null to disable
+   */
+  setPassphrase(passphrase) {
+    this.passphrase = passphrase || null;
+    logger.info(this.passphrase ? '🔒 Passphrase protection enabled' : '🔓 Passphrase protection disabled');
+  }
+
+  /**
+   * @returns {boolean} true if codes are passphrase protected
+   */
+  hasPassphrase() {
+    return this.passphrase !== null;
   }
 
   /**
    * Create offer URL from SDP offer
    * @param {RTCSessionDescriptionInit} offerDescription - WebRTC offer
-   * @returns {string} Shareable URL with encoded offer in hash
+   * @returns {Promise<string>} Shareable URL with encoded offer in hash
    */
-  createOfferUrl(offerDescription) {
+  async createOfferUrl(offerDescription) {
+    this.sessionId = createSessionId();
+
     const offerData = {
       type: 'offer',
       sdp: offerDescription.sdp,
+      sessionId: this.sessionId,
     };
 
-    const encoded = encodeToBase64(offerData);
+    const encoded = await encodeSignal(offerData, { passphrase: this.passphrase });
     const url = `${window.location.origin}${window.location.pathname}#${encoded}`;
 
     this.offerUrl = url;
@@ -39,15 +72,17 @@ export default class SignalingService {
   /**
    * Create answer code from SDP answer
    * @param {RTCSessionDescriptionInit} answerDescription - WebRTC answer
-   * @returns {string} Base64 encoded answer
+   * @param {string} [sessionId] - Session id of the offer being answered
+   * @returns {Promise<string>} Encoded answer
    */
-  createAnswerCode(answerDescription) {
+  async createAnswerCode(answerDescription, sessionId = createSessionId()) {
     const answerData = {
       type: 'answer',
       sdp: answerDescription.sdp,
+      sessionId,
     };
 
-    const encoded = encodeToBase64(answerData);
+    const encoded = await encodeSignal(answerData, { passphrase: this.passphrase });
 
     this.answerCode = encoded;
     logger.info('Answer code created', { length: encoded.length });
@@ -58,59 +93,137 @@ export default class SignalingService {
   /**
    * Parse offer from URL or hash string
    * @param {string} input - Full URL or hash string
-   * @returns {Object} Decoded offer data
+   * @returns {Promise<Object>} Decoded offer data
    * @throws {Error} If invalid offer
    */
-  parseOffer(input) {
-    let hashData;
+  async parseOffer(input) {
+    return this.parseSignal(extractSignalPayload(input), 'offer', ERROR_MESSAGES.INVALID_OFFER);
+  }
 
-    // Check if input is a URL or just hash data
-    if (isValidUrl(input)) {
-      hashData = extractHashFromUrl(input);
-      if (!hashData) {
-        throw new Error(ERROR_MESSAGES.INVALID_OFFER);
-      }
-    } else {
-      hashData = input;
-    }
+  /**
+   * Parse answer from encoded string
+   * @param {string} encoded - Encoded answer (envelope or legacy base64)
+   * @returns {Promise<Object>} Decoded answer data
+   * @throws {Error} If invalid answer
+   */
+  async parseAnswer(encoded) {
+    return this.parseSignal(extractSignalPayload(encoded), 'answer', ERROR_MESSAGES.INVALID_ANSWER);
+  }
 
+  /**
+   * Decode and validate a signal payload
+   * @private
+   * @param {string|null} payload - Raw payload (no URL, no '#')
+   * @param {string} expectedType - 'offer' or 'answer'
+   * @param {string} invalidMessage - Error message for malformed payloads
+   * @returns {Promise<Object>} Decoded signal data
+   * @throws {Error} invalidMessage, or unsupported-format and passphrase errors as-is
+   */
+  async parseSignal(payload, expectedType, invalidMessage) {
     try {
-      const data = decodeFromBase64(hashData);
+      if (!payload) {
+        throw new Error(invalidMessage);
+      }
+
+      const { version, flags, data } = await decodeSignal(payload, { passphrase: this.passphrase });
 
-      if (!isValidSignalData(data, 'offer')) {
-        throw new Error(ERROR_MESSAGES.INVALID_OFFER);
+      if (!isValidSignalData(data, expectedType)) {
+        throw new Error(invalidMessage);
       }
 
-      logger.info('Offer parsed successfully');
+      // A plaintext answer to a protected offer wasn't made by someone who read it
+      if (expectedType === 'answer' && this.passphrase && !(flags & ENVELOPE_FLAGS.ENCRYPTED)) {
+        throw new Error(ERROR_MESSAGES.ANSWER_NOT_PROTECTED);
+      }
+
+      if (expectedType === 'offer') {
+        this.assertOfferUsable(data);
+      }
+
+      logger.info(`${expectedType === 'offer' ? 'Offer' : 'Answer'} parsed successfully`, { version, flags });
       return data;
     } catch (error) {
-      logger.error('Failed to parse offer:', error);
-      throw new Error(ERROR_MESSAGES.INVALID_OFFER);
+      logger.error(`Failed to parse ${expectedType}:`, error);
+      if (this.isPassthroughError(error)) {
+        throw error;
+      }
+      throw new Error(invalidMessage);
     }
   }
 
   /**
-   * Parse answer from base64 string
-   * @param {string} encoded - Base64 encoded answer
-   * @returns {Object} Decoded answer data
-   * @throws {Error} If invalid answer
+   * Errors that tell the user something more useful than "invalid"
+   * @private
+   * @param {Error} error - Error thrown while decoding
+   * @returns {boolean}
    */
-  parseAnswer(encoded) {
-    try {
-      const data = decodeFromBase64(encoded);
+  isPassthroughError(error) {
+    return (
+      isUnsupportedSignalError(error) ||
+      isPassphraseError(error) ||
+      error.message === ERROR_MESSAGES.ANSWER_NOT_PROTECTED ||
+      error.message === ERROR_MESSAGES.OFFER_EXPIRED ||
+      error.message === ERROR_MESSAGES.OFFER_ALREADY_USED
+    );
+  }
 
-      if (!isValidSignalData(data, 'answer')) {
-        throw new Error(ERROR_MESSAGES.INVALID_ANSWER);
-      }
+  /**
+   * Reject offers that are too old or were already answered here
+   * @private
+   * @param {Object} offerData - Decoded offer
+   * @throws {Error} OFFER_EXPIRED or OFFER_ALREADY_USED
+   */
+  assertOfferUsable(offerData) {
+    // Offers from older builds (v1/v2) carry no creation time, so they can't
+    // be shown to be fresh - treat them as expired
+    if (!offerData.sessionId || Date.now() - offerData.createdAt > CONFIG.OFFER_TTL) {
+      throw new Error(ERROR_MESSAGES.OFFER_EXPIRED);
+    }
 
-      logger.info('Answer parsed successfully');
-      return data;
+    if (this.loadConsumedOffers().some(entry => entry.id === offerData.sessionId)) {
+      throw new Error(ERROR_MESSAGES.OFFER_ALREADY_USED);
+    }
+  }
+
+  /**
+   * Remember that an offer has been answered on this device
+   * @param {string} sessionId - Session id of the answered offer
+   */
+  markOfferConsumed(sessionId) {
+    if (!sessionId) return;
+
+    const entries = this.loadConsumedOffers();
+    entries.push({ id: sessionId, at: Date.now() });
+
+    try {
+      localStorage.setItem(STORAGE_KEYS.CONSUMED_OFFERS, JSON.stringify(entries));
     } catch (error) {
-      logger.error('Failed to parse answer:', error);
-      throw new Error(ERROR_MESSAGES.INVALID_ANSWER);
+      logger.warn('Could not remember consumed offer:', error);
+    }
+  }
+
+  /**
+   * Consumed offer entries, minus those old enough to be rejected as expired anyway
+   * @private
+   * @returns {Array<{id: string, at: number}>}
+   */
+  loadConsumedOffers() {
+    try {
+      const entries = JSON.parse(localStorage.getItem(STORAGE_KEYS.CONSUMED_OFFERS)) || [];
+      return entries.filter(entry => Date.now() - entry.at <= CONFIG.OFFER_TTL);
+    } catch {
+      return [];
     }
   }
 
+  /**
+   * Get session id of our current offer
+   * @returns {string|null}
+   */
+  getSessionId() {
+    return this.sessionId;
+  }
+
   /**
    * Check if current page has offer in URL hash
    * @returns {boolean}
@@ -121,9 +234,10 @@ export default class SignalingService {
 
   /**
    * Get offer from current URL hash
-   * @returns {Object|null} Decoded offer or null
+   * @returns {Promise<Object|null>} Decoded offer or null
+   * @throws {Error} If the offer can't be read by this version or needs a passphrase
    */
-  getOfferFromHash() {
+  async getOfferFromHash() {
     if (!this.hasOfferInHash()) {
       return null;
     }
@@ -131,9 +245,12 @@ export default class SignalingService {
     const hashData = location.hash.slice(1);
 
     try {
-      return this.parseOffer(hashData);
+      return await this.parseOffer(hashData);
     } catch (error) {
       logger.warn('Invalid offer in URL hash');
+      if (this.isPassthroughError(error)) {
+        throw error;
+      }
       return null;
     }
   }
@@ -150,7 +267,7 @@ export default class SignalingService {
 
   /**
    * Set URL hash with offer data
-   * @param {string} offerData - Base64 encoded offer
+   * @param {string} offerData - Encoded offer payload
    */
   setHashFromOffer(offerData) {
     history.replaceState(null, '', `#${offerData}`);
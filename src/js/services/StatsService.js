@@ -0,0 +1,244 @@
+/**
+ * StatsService - Connection statistics from RTCPeerConnection.getStats
+ *
+ * @pattern Service Layer
+ * @purpose Polls both peer connections, derives per-second rates and keeps a
+ *          rolling time series for graphs
+ * @note getStats counters are cumulative; rates are deltas between polls, so
+ *       the first sample of a stream has no bitrate/loss yet (null).
+ *
+ * Each poll emits 'sample':
+ *   {
+ *     timestamp,
+ *     connections: { data|media|peer: { rtt, localType, remoteType, protocol, relayed } },
+ *     tracks: [{ key, connection, kind, direction, bitrate, packetLoss, jitter, rtt,
+ *                width, height, fps, qualityLimitation }],
+ *     history: { '<connection>.rtt' | '<track key>.<metric>': number[] },
+ *   }
+ */
+
+import EventEmitter from '../lib/EventEmitter.js';
+import { CONFIG } from '../config/webrtc.js';
+import { CONNECTION_STRATEGIES } from '../config/constants.js';
+import logger from '../lib/Logger.js';
+
+// Track metrics kept in the rolling history
+const TRACK_SERIES = ['bitrate', 'packetLoss', 'jitter', 'fps'];
+
+export default class StatsService extends EventEmitter {
+  constructor(webrtcService) {
+    super();
+    this.webrtc = webrtcService;
+    this.timer = null;
+    this.previous = new Map(); // track key -> counters from the last poll
+    this.history = new Map();  // series key -> number[] (oldest first)
+  }
+
+  /**
+   * Start polling (no-op if already running)
+   */
+  start() {
+    if (this.timer) return;
+
+    logger.info('📊 Stats polling started');
+    this.timer = setInterval(() => this.poll(), CONFIG.STATS_INTERVAL);
+    this.poll();
+  }
+
+  /**
+   * Stop polling and forget collected history
+   */
+  stop() {
+    if (!this.timer) return;
+
+    clearInterval(this.timer);
+    this.timer = null;
+    this.previous.clear();
+    this.history.clear();
+    logger.info('📊 Stats polling stopped');
+  }
+
+  /**
+   * Read stats from every open peer connection and emit a sample
+   * @private
+   */
+  async poll() {
+    const connections = {};
+    const tracks = [];
+    const seen = new Map();
+
+    try {
+      for (const [label, pc] of this.getPeerConnections()) {
+        const report = await pc.getStats();
+        connections[label] = readCandidatePair(report);
+        tracks.push(...this.readTracks(report, label, seen));
+      }
+    } catch (error) {
+      logger.warn('getStats failed:', error);
+      return;
+    }
+
+    // Stop polling may have happened while awaiting getStats
+    if (!this.timer) return;
+    this.previous = seen;
+
+    Object.entries(connections).forEach(([label, connection]) => {
+      this.record(`${label}.rtt`, connection?.rtt);
+    });
+    tracks.forEach(track => {
+      TRACK_SERIES.forEach(metric => this.record(`${track.key}.${metric}`, track[metric]));
+    });
+
+    this.emit('sample', {
+      timestamp: Date.now(),
+      connections,
+      tracks,
+      history: Object.fromEntries(
+        Array.from(this.history, ([key, values]) => [key, [...values]])
+      ),
+    });
+  }
+
+  /**
+   * @private
+   * @returns {Array<[string, RTCPeerConnection]>} Labelled connections to poll
+   */
+  getPeerConnections() {
+    const { pc, mediaPc, strategy } = this.webrtc;
+
+    if (strategy === CONNECTION_STRATEGIES.SINGLE) {
+      return pc ? [['peer', pc]] : [];
+    }
+    return [['data', pc], ['media', mediaPc]].filter(([, connection]) => connection);
+  }
+
+  /**
+   * Derive per-track numbers from RTP stats
+   * @private
+   * @param {RTCStatsReport} report - getStats result
+   * @param {string} label - Connection label
+   * @param {Map} seen - Collects counters for the next poll
+   * @returns {Object[]} Track samples
+   */
+  readTracks(report, label, seen) {
+    const tracks = [];
+
+    report.forEach(stat => {
+      if (stat.type !== 'inbound-rtp' && stat.type !== 'outbound-rtp') return;
+
+      const inbound = stat.type === 'inbound-rtp';
+      const key = `${label}.${stat.id}`;
+      const counters = {
+        timestamp: stat.timestamp,
+        bytes: inbound ? stat.bytesReceived : stat.bytesSent,
+        received: stat.packetsReceived ?? 0,
+        lost: stat.packetsLost ?? 0,
+      };
+      const previous = this.previous.get(key);
+      seen.set(key, counters);
+
+      // Outbound loss/jitter/RTT are reported back by the peer via RTCP
+      const remote = inbound ? null : report.get(stat.remoteId);
+
+      tracks.push({
+        key,
+        connection: label,
+        kind: stat.kind,
+        direction: inbound ? 'inbound' : 'outbound',
+        bitrate: rate(previous, counters),
+        packetLoss: inbound ? lossPercent(previous, counters) : percent(remote?.fractionLost),
+        jitter: milliseconds(inbound ? stat.jitter : remote?.jitter),
+        rtt: milliseconds(remote?.roundTripTime),
+        width: stat.frameWidth ?? null,
+        height: stat.frameHeight ?? null,
+        fps: stat.framesPerSecond ?? null,
+        qualityLimitation: stat.qualityLimitationReason ?? null,
+      });
+    });
+
+    return tracks;
+  }
+
+  /**
+   * Append a value to a rolling series
+   * @private
+   */
+  record(key, value) {
+    const values = this.history.get(key) ?? [];
+    values.push(value ?? null);
+    if (values.length > CONFIG.STATS_HISTORY) {
+      values.shift();
+    }
+    this.history.set(key, values);
+  }
+}
+
+/**
+ * Selected candidate pair summary for a connection
+ * @private
+ * @returns {Object|null} null until ICE has selected a pair
+ */
+function readCandidatePair(report) {
+  let pair = null;
+
+  report.forEach(stat => {
+    if (stat.type === 'transport' && stat.selectedCandidatePairId) {
+      pair = report.get(stat.selectedCandidatePairId);
+    }
+  });
+
+  // Firefox has no transport stats - it flags the pair itself
+  if (!pair) {
+    report.forEach(stat => {
+      if (stat.type === 'candidate-pair' && stat.selected) pair = stat;
+    });
+  }
+
+  if (!pair) return null;
+
+  const local = report.get(pair.localCandidateId);
+  const remote = report.get(pair.remoteCandidateId);
+
+  return {
+    rtt: milliseconds(pair.currentRoundTripTime),
+    localType: local?.candidateType ?? null,
+    remoteType: remote?.candidateType ?? null,
+    protocol: local?.protocol ?? null,
+    relayed: local?.candidateType === 'relay' || remote?.candidateType === 'relay',
+  };
+}
+
+/**
+ * Bits per second between two polls
+ * @private
+ */
+function rate(previous, current) {
+  if (!previous || current.bytes === undefined) return null;
+  const seconds = (current.timestamp - previous.timestamp) / 1000;
+  return seconds > 0 ? ((current.bytes - previous.bytes) * 8) / seconds : null;
+}
+
+/**
+ * Inbound packet loss between two polls, in percent
+ * @private
+ */
+function lossPercent(previous, current) {
+  if (!previous) return null;
+  const lost = current.lost - previous.lost;
+  const expected = lost + (current.received - previous.received);
+  return expected > 0 ? Math.max(0, (lost / expected) * 100) : 0;
+}
+
+/**
+ * @private
+ */
+function percent(fraction) {
+  return fraction === undefined ? null : fraction * 100;
+}
+
+/**
+ * @private
+ */
+function milliseconds(seconds) {
+  return seconds === undefined ? null : seconds * 1000;
+}
@@ -3,12 +3,20 @@
  *
  * @pattern Service Layer
  * @purpose Handles dual peer connections (data + media) with hybrid ICE gathering
- * @note Uses two-stage connection: data channel first, then media connection
+ * @note Uses two-stage connection: data channel first, then media connection.
+ *       If the media PC loses ICE, it is restarted over the data channel; only a
+ *       failed data PC is terminal (there is nothing left to signal over).
+ *
+ *       CONFIG.CONNECTION_STRATEGY = SINGLE instead adds tracks to the data PC and
+ *       renegotiates it with "perfect negotiation" over the data channel. In that
+ *       mode mediaPc is an alias of pc, so track code works unchanged. There is
+ *       no ICE restart there: the data channel shares the failing transport.
  */
 
 import EventEmitter from '../lib/EventEmitter.js';
-import { getRTCConfiguration, CONFIG } from '../config/webrtc.js';
-import { PEER_ROLES } from '../config/constants.js';
+import MessageRouter from '../lib/MessageRouter.js';
+import { getRTCConfiguration, getSetting, CONFIG } from '../config/webrtc.js';
+import { PEER_ROLES, CONNECTION_STRATEGIES } from '../config/constants.js';
 import logger from '../lib/Logger.js';
 
 export default class WebRTCService extends EventEmitter {
@@ -17,8 +25,27 @@ export default class WebRTCService extends EventEmitter {
     this.pc = null;           // Data channel peer connection
     this.mediaPc = null;      // Media peer connection
     this.dataChannel = null;
+    this.fileChannel = null;  // Dedicated channel for file transfer
     this.role = null;
+    this.audioOnly = false;   // Decline video offered by the peer
     this.connectionEstablished = false;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+
+    // Single-PC perfect negotiation
+    this.strategy = CONFIG.CONNECTION_STRATEGY;
+    this.polite = false;
+    this.makingOffer = false;
+    this.ignoreOffer = false;
+    this.mediaNegotiated = false;
+
+    // Connection timing, for comparing strategies
+    this.connectStartedAt = null;
+    this.firstTrackLogged = false;
+
+    // Data channel messages; registrations outlive cleanup(), like event listeners
+    this.router = new MessageRouter(message => this.sendMessage(message));
+    this.registerSignalingHandlers();
   }
 
   /**
@@ -30,6 +57,16 @@ export default class WebRTCService extends EventEmitter {
     logger.info(`Role set: ${role}`);
   }
 
+  /**
+   * Turn audio-only mode on/off for the next media negotiation
+   * @note Local video is controlled by the stream passed in; this only makes
+   *       offered video m-lines inactive so no video flows either way
+   * @param {boolean} audioOnly
+   */
+  setAudioOnly(audioOnly) {
+    this.audioOnly = audioOnly;
+  }
+
   /**
    * Get current role
    * @returns {string|null}
@@ -47,11 +84,17 @@ export default class WebRTCService extends EventEmitter {
     logger.info('Creating data channel peer connection...');
 
     this.pc = new RTCPeerConnection(getRTCConfiguration());
+    this.connectStartedAt = performance.now();
 
     // Setup ICE candidate handler
     this.pc.onicecandidate = (event) => {
       if (event.candidate) {
         logger.debug('ICE candidate generated (data PC)', { type: event.candidate.type });
+        // Single-PC mode: initial candidates are embedded in the manual
+        // offer/answer (channel not open yet); renegotiation ones trickle
+        if (this.strategy === CONNECTION_STRATEGIES.SINGLE) {
+          this.sendMessage({ type: 'ice-candidate', candidate: event.candidate.toJSON() });
+        }
       } else {
         logger.info('✅ ICE gathering complete (data PC)');
         this.emit('ice-gathering-complete', { type: 'data' });
@@ -71,6 +114,7 @@ export default class WebRTCService extends EventEmitter {
         this.pc.iceConnectionState === 'closed'
       ) {
         logger.error('ICE connection failed or closed');
+        this.cancelIceRestart();
         this.emit('connection-failed');
       }
     };
@@ -93,6 +137,26 @@ export default class WebRTCService extends EventEmitter {
       }
     };
 
+    // File channel is pre-negotiated on a fixed id, so both sides create it
+    // the same way and it never shows up in ondatachannel
+    this.fileChannel = this.pc.createDataChannel('file', {
+      negotiated: true,
+      id: CONFIG.FILE_CHANNEL_ID,
+      ordered: true,
+    });
+    this.fileChannel.onopen = () => {
+      logger.info('File channel opened');
+      this.emit('file-channel-open', this.fileChannel);
+    };
+
+    // Single-PC mode: the peer may renegotiate before our own tracks are
+    // added, so its tracks and candidates are handled from the start
+    if (this.strategy === CONNECTION_STRATEGIES.SINGLE) {
+      this.mediaPc = this.pc;
+      this.polite = this.role === PEER_ROLES.RESPONDER;
+      this.pc.ontrack = (event) => this.handleRemoteTrack(event);
+    }
+
     // Create or receive data channel
     if (this.role === PEER_ROLES.INITIATOR) {
       this.dataChannel = this.pc.createDataChannel('media', { ordered: true });
@@ -118,22 +182,7 @@ export default class WebRTCService extends EventEmitter {
       this.emit('datachannel-open');
     };
 
-    channel.onmessage = async (event) => {
-      try {
-        const data = JSON.parse(event.data);
-        logger.debug('DataChannel message received', { type: data.type });
-
-        if (data.type === 'media-offer') {
-          await this.handleMediaOffer(data);
-        } else if (data.type === 'media-answer') {
-          await this.handleMediaAnswer(data);
-        } else if (data.type === 'ice-candidate') {
-          await this.handleRemoteICECandidate(data);
-        }
-      } catch (error) {
-        logger.error('Failed to handle data channel message:', error);
-      }
-    };
+    channel.onmessage = (event) => this.router.dispatch(event.data);
 
     channel.onerror = (error) => {
       logger.error('DataChannel error:', error);
@@ -239,17 +288,22 @@ export default class WebRTCService extends EventEmitter {
         pc.removeEventListener('icegatheringstatechange', onStateChange);
         logger.warn('⏱️ ICE gathering timeout - proceeding with available candidates');
         resolve();
-      }, CONFIG.ICE_GATHERING_TIMEOUT);
+      }, getSetting('ICE_GATHERING_TIMEOUT'));
     });
   }
 
   /**
    * Start media negotiation (after data channel is established)
-   * @param {MediaStream} localStream - Local media stream
+   * @param {MediaStream|null} localStream - Local media stream, null to only receive
    * @returns {Promise<void>}
    */
   async startMediaNegotiation(localStream) {
-    logger.info(`Starting media negotiation (role: ${this.role})`);
+    logger.info(`Starting media negotiation (role: ${this.role}, strategy: ${this.strategy})`);
+
+    if (this.strategy === CONNECTION_STRATEGIES.SINGLE) {
+      await this.startPerfectNegotiation(localStream);
+      return;
+    }
 
     if (this.role === PEER_ROLES.INITIATOR) {
       await this.sendMediaOffer(localStream);
@@ -283,6 +337,16 @@ export default class WebRTCService extends EventEmitter {
       }
     };
 
+    // ICE restart on loss - the data channel is still there to renegotiate over
+    mediaPc.oniceconnectionstatechange = () => {
+      logger.debug(`ICE state (media): ${mediaPc.iceConnectionState}`);
+      this.emit('ice-state-change', {
+        type: 'media',
+        state: mediaPc.iceConnectionState,
+      });
+      this.handleMediaIceState(mediaPc.iceConnectionState);
+    };
+
     // Add local tracks
     if (localStream) {
       localStream.getTracks().forEach((track) => {
@@ -292,25 +356,201 @@ export default class WebRTCService extends EventEmitter {
     }
 
     // Handle remote tracks
-    mediaPc.ontrack = (event) => {
-      logger.info('Remote track received', { kind: event.track.kind });
-      this.emit('remote-track', {
-        track: event.track,
-        streams: event.streams,
-      });
-    };
+    mediaPc.ontrack = (event) => this.handleRemoteTrack(event);
 
     return mediaPc;
   }
 
   /**
-   * Send media offer via data channel
+   * Emit remote track and log time-to-media once
+   * @private
+   * @param {RTCTrackEvent} event - Track event
+   */
+  handleRemoteTrack(event) {
+    logger.info('Remote track received', { kind: event.track.kind });
+
+    if (!this.firstTrackLogged && this.connectStartedAt !== null) {
+      this.firstTrackLogged = true;
+      const elapsed = Math.round(performance.now() - this.connectStartedAt);
+      logger.info(`⏱️ First remote track ${elapsed}ms after PC creation`, { strategy: this.strategy });
+    }
+
+    this.emit('remote-track', {
+      track: event.track,
+      streams: event.streams,
+    });
+  }
+
+  /**
+   * Single-PC mode: add tracks to the data PC and let perfect negotiation
+   * run over the data channel. The responder is polite (yields on glare).
+   * @note Remote tracks, candidates and descriptions are already handled
+   *       since createDataConnection; this only starts our own side
    * @private
    * @param {MediaStream} localStream - Local stream
    * @returns {Promise<void>}
    */
+  async startPerfectNegotiation(localStream) {
+    await this.waitForDataChannelOpen();
+
+    const pc = this.pc;
+
+    // Not set earlier: it would fire for the manually signaled initial offer
+    pc.onnegotiationneeded = async () => {
+      try {
+        this.makingOffer = true;
+        await pc.setLocalDescription();
+        this.sendMessage({ type: 'description', description: pc.localDescription });
+        logger.info('📤 Renegotiation offer sent');
+      } catch (error) {
+        logger.error('Renegotiation failed:', error);
+      } finally {
+        this.makingOffer = false;
+      }
+    };
+
+    if (localStream) {
+      localStream.getTracks().forEach((track) => {
+        pc.addTrack(track, localStream);
+        logger.debug(`Added ${track.kind} track to data PC`);
+      });
+    } else if (this.role === PEER_ROLES.INITIATOR) {
+      // A sending responder offers on its own; an initiator with nothing to
+      // send has to ask for media
+      this.addReceiveOnlyTransceivers(pc);
+    }
+  }
+
+  /**
+   * Ask for the peer's media without sending any (receive-only side)
+   * @private
+   * @param {RTCPeerConnection} pc - Connection to add the transceivers to
+   */
+  addReceiveOnlyTransceivers(pc) {
+    const kinds = this.audioOnly ? ['audio'] : ['audio', 'video'];
+    kinds.forEach((kind) => {
+      pc.addTransceiver(kind, { direction: 'recvonly' });
+      logger.debug(`Added recvonly ${kind} transceiver`);
+    });
+  }
+
+  /**
+   * Perfect negotiation: apply a remote offer/answer, handling glare
+   * @private
+   * @param {Object} data - { description: RTCSessionDescriptionInit }
+   * @returns {Promise<void>}
+   */
+  async handleRemoteDescription({ description }) {
+    const pc = this.pc;
+    if (!pc || !description) return;
+
+    const offerCollision =
+      description.type === 'offer' &&
+      (this.makingOffer || pc.signalingState !== 'stable');
+
+    this.ignoreOffer = !this.polite && offerCollision;
+    if (this.ignoreOffer) {
+      logger.debug('Ignoring colliding offer (impolite peer)');
+      return;
+    }
+
+    // Polite peer: setRemoteDescription rolls back our own pending offer
+    await pc.setRemoteDescription(description);
+
+    if (description.type === 'offer') {
+      this.declineVideo(pc);
+      await pc.setLocalDescription();
+      this.sendMessage({ type: 'description', description: pc.localDescription });
+      logger.info('📤 Renegotiation answer sent');
+    }
+
+    if (!this.mediaNegotiated) {
+      this.mediaNegotiated = true;
+      logger.info('Media connection established');
+      this.emit('media-connection-established');
+    }
+  }
+
+  /**
+   * Make offered video inactive in audio-only mode (call after applying an offer)
+   * @private
+   * @param {RTCPeerConnection} pc
+   */
+  declineVideo(pc) {
+    if (!this.audioOnly) return;
+
+    pc.getTransceivers()
+      .filter(transceiver => transceiver.receiver.track.kind === 'video')
+      .forEach(transceiver => {
+        transceiver.direction = 'inactive';
+      });
+    logger.debug('Offered video declined (audio only)');
+  }
+
+  /**
+   * Resolve once the data channel can carry messages
+   * @private
+   * @returns {Promise<void>}
+   */
+  waitForDataChannelOpen() {
+    return new Promise((resolve) => {
+      if (this.dataChannel?.readyState === 'open') {
+        resolve();
+        return;
+      }
+      this.once('datachannel-open', resolve);
+    });
+  }
+
+  /**
+   * Register the messages WebRTCService itself handles
+   * @private
+   */
+  registerSignalingHandlers() {
+    const sessionDescription = { sdp: 'string', iceRestart: 'boolean?' };
+
+    this.registerMessageHandler('media-offer', sessionDescription, data => this.handleMediaOffer(data));
+    this.registerMessageHandler('media-answer', sessionDescription, data => this.handleMediaAnswer(data));
+    this.registerMessageHandler('ice-candidate', { candidate: 'object' }, data => this.handleRemoteICECandidate(data));
+    this.registerMessageHandler('ice-restart-request', {}, () => this.restartIce());
+    this.registerMessageHandler('description', { description: 'object' }, data => this.handleRemoteDescription(data));
+
+    this.router.on('peer-error', (frame) => this.emit('peer-error', frame));
+  }
+
+  /**
+   * Handle a data channel message type
+   * @param {string} type - Message type
+   * @param {Object} schema - Field map, see MessageRouter
+   * @param {Function} handler - (message) => void|Promise<void>, called with validated messages
+   * @returns {Function} Unregister function
+   */
+  registerMessageHandler(type, schema, handler) {
+    return this.router.register(type, schema, handler);
+  }
+
+  /**
+   * Send a JSON message over the data channel if it is open
+   * @param {Object} message - Message with a `type` field
+   * @returns {boolean} true if sent
+   */
+  sendMessage(message) {
+    if (this.dataChannel && this.dataChannel.readyState === 'open') {
+      this.dataChannel.send(JSON.stringify(message));
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Send media offer via data channel
+   * @private
+   * @param {MediaStream|null} localStream - Local stream, null to only receive
+   * @returns {Promise<void>}
+   */
   async sendMediaOffer(localStream) {
     this.mediaPc = this.createMediaPeerConnection(localStream);
+    if (!localStream) this.addReceiveOnlyTransceivers(this.mediaPc);
 
     const offer = await this.mediaPc.createOffer();
     await this.mediaPc.setLocalDescription(offer);
@@ -334,14 +574,21 @@ export default class WebRTCService extends EventEmitter {
   async handleMediaOffer(data) {
     logger.info('📥 Media offer received');
 
+    // ICE restart renegotiates the existing PC instead of building a new one
+    if (data.iceRestart && this.mediaPc) {
+      await this.answerIceRestart(data);
+      return;
+    }
+
     // Get local stream from wherever it's stored (passed via event)
     this.emit('media-offer-received', { offerData: data });
   }
 
   /**
    * Process media offer and send answer
+   * @note Without a local stream the answer is recvonly for every offered m-line
    * @param {Object} offerData - Media offer data
-   * @param {MediaStream} localStream - Local stream
+   * @param {MediaStream|null} localStream - Local stream, null to only receive
    * @returns {Promise<void>}
    */
   async processMediaOffer(offerData, localStream) {
@@ -351,6 +598,7 @@ export default class WebRTCService extends EventEmitter {
       type: 'offer',
       sdp: offerData.sdp,
     });
+    this.declineVideo(this.mediaPc);
 
     const answer = await this.mediaPc.createAnswer();
     await this.mediaPc.setLocalDescription(answer);
@@ -379,10 +627,138 @@ export default class WebRTCService extends EventEmitter {
       sdp: data.sdp,
     });
 
+    if (data.iceRestart) {
+      logger.info('ICE restart answer applied');
+      return;
+    }
+
     logger.info('Media connection established');
     this.emit('media-connection-established');
   }
 
+  /**
+   * React to media PC ICE state changes
+   * @private
+   * @param {RTCIceConnectionState} state - New ICE state
+   */
+  handleMediaIceState(state) {
+    if (state === 'connected' || state === 'completed') {
+      if (this.reconnectAttempts > 0) {
+        this.cancelIceRestart();
+        logger.info('✅ Media connection recovered');
+        this.emit('reconnected');
+      }
+      return;
+    }
+
+    if (state === 'disconnected' || state === 'failed') {
+      this.scheduleIceRestart();
+    }
+  }
+
+  /**
+   * Schedule the next ICE restart attempt with exponential backoff.
+   * Keeps trying while the data PC is alive - its failure ends the call.
+   * @private
+   */
+  scheduleIceRestart() {
+    if (this.reconnectTimer) return;
+
+    const wait = Math.min(
+      CONFIG.ICE_RESTART_BASE_DELAY * 2 ** this.reconnectAttempts,
+      CONFIG.ICE_RESTART_MAX_DELAY
+    );
+    this.reconnectAttempts += 1;
+    logger.warn(`Media connection lost, ICE restart #${this.reconnectAttempts} in ${wait}ms`);
+    this.emit('reconnecting', { attempt: this.reconnectAttempts });
+
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
+
+      // Recovered on its own while we were waiting
+      const state = this.mediaPc?.iceConnectionState;
+      if (state === 'connected' || state === 'completed') {
+        this.handleMediaIceState(state);
+        return;
+      }
+
+      try {
+        await this.restartIce();
+      } catch (error) {
+        logger.error('ICE restart failed:', error);
+      }
+
+      // Next attempt unless the restart succeeds first
+      this.scheduleIceRestart();
+    }, wait);
+  }
+
+  /**
+   * Stop pending ICE restarts and reset backoff
+   * @private
+   */
+  cancelIceRestart() {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.reconnectAttempts = 0;
+  }
+
+  /**
+   * Restart ICE on the media PC. The initiator (media offerer) renegotiates;
+   * the responder asks it to, so both sides never send offers at once.
+   * @private
+   * @returns {Promise<void>}
+   */
+  async restartIce() {
+    if (!this.mediaPc || !this.dataChannel || this.dataChannel.readyState !== 'open') {
+      logger.warn('Data channel not open - ICE restart postponed');
+      return;
+    }
+
+    if (this.role !== PEER_ROLES.INITIATOR) {
+      this.dataChannel.send(JSON.stringify({ type: 'ice-restart-request' }));
+      logger.info('📤 ICE restart requested from initiator');
+      return;
+    }
+
+    const offer = await this.mediaPc.createOffer({ iceRestart: true });
+    await this.mediaPc.setLocalDescription(offer);
+
+    this.dataChannel.send(
+      JSON.stringify({
+        type: 'media-offer',
+        sdp: this.mediaPc.localDescription.sdp,
+        iceRestart: true,
+      })
+    );
+    logger.info('📤 ICE restart offer sent');
+  }
+
+  /**
+   * Apply an ICE restart offer to the existing media PC and answer it
+   * @private
+   * @param {Object} data - Media offer data
+   * @returns {Promise<void>}
+   */
+  async answerIceRestart(data) {
+    await this.mediaPc.setRemoteDescription({
+      type: 'offer',
+      sdp: data.sdp,
+    });
+
+    const answer = await this.mediaPc.createAnswer();
+    await this.mediaPc.setLocalDescription(answer);
+
+    this.dataChannel.send(
+      JSON.stringify({
+        type: 'media-answer',
+        sdp: this.mediaPc.localDescription.sdp,
+        iceRestart: true,
+      })
+    );
+    logger.info('📤 ICE restart answer sent');
+  }
+
   /**
    * Handle remote ICE candidate (for media connection)
    * @private
@@ -395,17 +771,82 @@ export default class WebRTCService extends EventEmitter {
         await this.mediaPc.addIceCandidate(new RTCIceCandidate(data.candidate));
         logger.debug('🧊 Added remote ICE candidate (media PC)');
       } catch (error) {
-        logger.error('Failed to add ICE candidate:', error);
+        // Candidates for an offer we ignored during glare are expected to fail
+        if (!this.ignoreOffer) {
+          logger.error('Failed to add ICE candidate:', error);
+        }
       }
     }
   }
 
+  /**
+   * Swap the outgoing video track without renegotiation
+   * @param {MediaStreamTrack|null} track - New video track (screen or camera)
+   * @returns {Promise<void>}
+   */
+  async replaceVideoTrack(track) {
+    await this.replaceTrack('video', track);
+  }
+
+  /**
+   * Swap the outgoing track of a kind without renegotiation
+   * @param {string} kind - 'audio' or 'video'
+   * @param {MediaStreamTrack|null} track - New track
+   * @returns {Promise<void>}
+   */
+  async replaceTrack(kind, track) {
+    const sender = this.getSender(kind);
+
+    if (!sender) {
+      throw new Error(`No ${kind} sender to replace`);
+    }
+
+    await sender.replaceTrack(track);
+    logger.info(`Outgoing ${kind} track replaced`, { label: track?.label });
+  }
+
+  /**
+   * Update encoding parameters of the outgoing video
+   * @param {RTCRtpEncodingParameters} encoding - e.g. { maxBitrate, scaleResolutionDownBy }
+   * @returns {Promise<boolean>} false if there is no negotiated video sender yet
+   */
+  async setVideoEncoding(encoding) {
+    const sender = this.getSender('video');
+    const parameters = sender?.getParameters();
+
+    if (!parameters?.encodings?.length) {
+      return false;
+    }
+
+    parameters.encodings = parameters.encodings.map(existing => ({ ...existing, ...encoding }));
+    await sender.setParameters(parameters);
+    logger.debug('Video encoding updated', encoding);
+    return true;
+  }
+
+  /**
+   * Outgoing sender of a kind on the media PC
+   * @private
+   * @param {string} kind - 'audio' or 'video'
+   * @returns {RTCRtpSender|null}
+   */
+  getSender(kind) {
+    // Look up by transceiver - sender.track may already be a replaced track
+    const transceiver = this.mediaPc
+      ?.getTransceivers()
+      .find(t => t.receiver.track.kind === kind && t.sender);
+
+    return transceiver?.sender ?? null;
+  }
+
   /**
    * Clean up all peer connections
    */
   cleanup() {
     logger.info('Cleaning up peer connections...');
 
+    this.cancelIceRestart();
+
     if (this.pc) {
       this.pc.close();
       this.pc = null;
@@ -424,8 +865,19 @@ export default class WebRTCService extends EventEmitter {
       logger.debug('Data channel closed');
     }
 
+    if (this.fileChannel) {
+      this.fileChannel.close();
+      this.fileChannel = null;
+    }
+
     this.connectionEstablished = false;
-    this.removeAllListeners();
+    this.makingOffer = false;
+    this.ignoreOffer = false;
+    this.mediaNegotiated = false;
+    this.connectStartedAt = null;
+    this.firstTrackLogged = false;
+    // Listeners stay: ConnectionController registers them once, and the next
+    // connection reuses this service
 
     logger.info('✅ Cleanup complete');
   }
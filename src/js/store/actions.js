@@ -41,6 +41,15 @@ export default {
     commit('setLoading', false);
   },
 
+  /**
+   * Media connection lost, ICE restart in progress
+   */
+  async startReconnecting({ commit }, message) {
+    commit('setConnectionState', CONNECTION_STATES.RECONNECTING);
+    commit('setLoading', true);
+    commit('setLoadingMessage', message);
+  },
+
   /**
    * Handle connection failure
    */
@@ -43,6 +43,71 @@ export default {
     state.cameraEnabled = enabled;
   },
 
+  setScreenStream(state, stream) {
+    state.screenStream = stream;
+  },
+
+  setAudioOnly(state, audioOnly) {
+    state.audioOnly = audioOnly;
+  },
+
+  setReceiveOnly(state, receiveOnly) {
+    state.receiveOnly = receiveOnly;
+  },
+
+  setDevices(state, devices) {
+    state.devices = devices;
+  },
+
+  setSelectedDevice(state, { kind, deviceId }) {
+    state.selectedDevices = { ...state.selectedDevices, [kind]: deviceId };
+  },
+
+  setCameraFacing(state, facingMode) {
+    state.cameraFacing = facingMode;
+  },
+
+  setRemoteMicEnabled(state, enabled) {
+    state.remoteMicEnabled = enabled;
+  },
+
+  setRemoteCameraEnabled(state, enabled) {
+    state.remoteCameraEnabled = enabled;
+  },
+
+  setAudioLevels(state, levels) {
+    state.audioLevels = levels;
+  },
+
+  setActiveSpeaker(state, speaker) {
+    state.activeSpeaker = speaker;
+  },
+
+  setMutedTalking(state, mutedTalking) {
+    state.mutedTalking = mutedTalking;
+  },
+
+  // Recording
+  setRecordingState(state, recordingState) {
+    state.recordingState = recordingState;
+  },
+
+  setRecordingElapsed(state, elapsed) {
+    state.recordingElapsed = elapsed;
+  },
+
+  setRecordingFile(state, file) {
+    state.recordingFile = file;
+  },
+
+  setRemoteRecording(state, recording) {
+    state.remoteRecording = recording;
+  },
+
+  setPeerCapabilities(state, capabilities) {
+    state.peerCapabilities = capabilities;
+  },
+
   // Data
   setOfferUrl(state, url) {
     state.offerUrl = url;
@@ -52,6 +117,66 @@ export default {
     state.answerCode = code;
   },
 
+  setPassphraseEnabled(state, enabled) {
+    state.passphraseEnabled = enabled;
+  },
+
+  // File transfers
+  updateFileTransfer(state, transfer) {
+    const existing = state.fileTransfers.find(item => item.id === transfer.id);
+    state.fileTransfers = existing
+      ? state.fileTransfers.map(item => (item.id === transfer.id ? { ...item, ...transfer } : item))
+      : [...state.fileTransfers, transfer];
+  },
+
+  removeFileTransfer(state, id) {
+    state.fileTransfers = state.fileTransfers.filter(item => item.id !== id);
+  },
+
+  clearFileTransfers(state) {
+    state.fileTransfers = [];
+  },
+
+  // Chat
+  addChatMessage(state, message) {
+    state.chatMessages = [...state.chatMessages, message];
+    if (message.direction === 'receive' && !state.chatOpen) {
+      state.chatUnread = state.chatUnread + 1;
+    }
+  },
+
+  markChatDelivered(state, id) {
+    state.chatMessages = state.chatMessages.map(message =>
+      (message.id === id ? { ...message, delivered: true } : message)
+    );
+  },
+
+  setChatOpen(state, open) {
+    state.chatOpen = open;
+    if (open) {
+      state.chatUnread = 0;
+    }
+  },
+
+  clearChat(state) {
+    state.chatMessages = [];
+    state.chatUnread = 0;
+    state.chatOpen = false;
+  },
+
+  // Statistics
+  setStats(state, stats) {
+    state.stats = stats;
+  },
+
+  setStatsVisible(state, visible) {
+    state.statsVisible = visible;
+  },
+
+  setConnectionQuality(state, quality) {
+    state.connectionQuality = quality;
+  },
+
   // Flags
   setProcessing(state, isProcessing) {
     state.isProcessing = isProcessing;
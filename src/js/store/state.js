@@ -2,7 +2,7 @@
  * Initial application state
  */
 
-import { BUTTON_STATES, VIDEO_MODES, CONNECTION_STATES } from '../config/constants.js';
+import { BUTTON_STATES, VIDEO_MODES, CONNECTION_STATES, FACING_MODES, RECORDING_STATES } from '../config/constants.js';
 
 export default {
   // Connection state
@@ -19,10 +19,42 @@ export default {
   remoteStream: null,
   micEnabled: true,
   cameraEnabled: true,
+  screenStream: null, // Display capture being sent instead of the camera
+  audioOnly: false, // No camera, and video from the peer is declined
+  receiveOnly: false, // No local media at all - this side only watches
+  devices: { cameras: [], microphones: [], speakers: [] }, // { deviceId, label } lists
+  selectedDevices: { camera: null, microphone: null, speaker: null }, // deviceIds, null = default
+  cameraFacing: FACING_MODES.USER, // Front camera previews mirrored
+  remoteMicEnabled: true, // Peer's mic/camera as reported over the data channel
+  remoteCameraEnabled: true,
+  peerCapabilities: null, // { receivesVideo } from the peer's get-capabilities RPC, null until known
+  audioLevels: { local: 0, remote: 0 }, // 0-1, refreshed every AUDIO_LEVEL_INTERVAL
+  activeSpeaker: null, // 'local' | 'remote' | null
+  mutedTalking: false, // Local mic is muted but picking up speech
+
+  // Recording
+  recordingState: RECORDING_STATES.INACTIVE,
+  recordingElapsed: 0, // Recorded milliseconds, excluding pauses
+  recordingFile: null, // { url, name, size } of a finished recording awaiting download
+  remoteRecording: false, // Peer is recording the call
 
   // Data
   offerUrl: null,
   answerCode: null,
+  passphraseEnabled: false, // Offer/answer encrypted with a shared passphrase
+
+  // File transfers: { id, name, size, direction, transferred, status, url, error }
+  fileTransfers: [],
+
+  // Chat: { id, text, sentAt, direction: 'send'|'receive', delivered }
+  chatMessages: [],
+  chatUnread: 0,    // Received while the panel was closed
+  chatOpen: false,
+
+  // Latest StatsService sample (with rolling history), null when not polling
+  stats: null,
+  statsVisible: false,
+  connectionQuality: null, // QUALITY_LEVELS value, null while unknown
 
   // Flags
   isProcessing: false,
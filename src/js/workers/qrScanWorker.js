@@ -0,0 +1,68 @@
+/**
+ * QR Scan Worker - Decodes QR codes from camera frames off the main thread
+ *
+ * @pattern Web Worker (classic, so the UMD decoder builds can be imported)
+ * @purpose Keep live scanning from blocking video playback and UI
+ * @protocol in:  { id, width, height, buffer }  (RGBA pixels, buffer transferred)
+ *           out: { id, text, error? }           (text is null if nothing found;
+ *                                                error is set if decoding threw)
+ */
+
+/* global ZXing, jsQR */
+
+// Same decoder builds as index.html
+importScripts(
+  'https://cdn.jsdelivr.net/npm/jsqr@1.4.0/dist/jsQR.js',
+  'https://unpkg.com/@zxing/library@0.23.0/umd/index.min.js'
+);
+
+const zxingReader = typeof ZXing !== 'undefined' ? new ZXing.QRCodeReader() : null;
+const zxingHints = zxingReader ? new Map([[ZXing.DecodeHintType.TRY_HARDER, true]]) : null;
+
+/**
+ * Try ZXing first (better with dense codes), then jsQR
+ * @param {Uint8ClampedArray} pixels - RGBA pixels
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ * @returns {string|null} Decoded text
+ */
+function decodeFrame(pixels, width, height) {
+  if (zxingReader) {
+    try {
+      const luminances = new Uint8ClampedArray(width * height);
+      for (let i = 0, p = 0; i < luminances.length; i++, p += 4) {
+        luminances[i] = (pixels[p] * 306 + pixels[p + 1] * 601 + pixels[p + 2] * 117) >> 10;
+      }
+
+      const source = new ZXing.RGBLuminanceSource(luminances, width, height);
+      const bitmap = new ZXing.BinaryBitmap(new ZXing.HybridBinarizer(source));
+      const result = zxingReader.decode(bitmap, zxingHints);
+
+      if (result && result.getText()) {
+        return result.getText();
+      }
+    } catch {
+      // Not found in this frame - fall through to jsQR
+    }
+  }
+
+  if (typeof jsQR !== 'undefined') {
+    const code = jsQR(pixels, width, height, { inversionAttempts: 'attemptBoth' });
+    if (code) {
+      return code.data;
+    }
+  }
+
+  return null;
+}
+
+self.onmessage = (event) => {
+  const { id, width, height, buffer } = event.data;
+
+  // Always answer - the main thread sends the next frame only after a reply
+  try {
+    self.postMessage({ id, text: decodeFrame(new Uint8ClampedArray(buffer), width, height) });
+  } catch (error) {
+    self.postMessage({ id, text: null, error: String(error) });
+  }
+};